@@ -0,0 +1,182 @@
+// baseline.js — Regression gate against a previously saved results document.
+// Rows are matched by benchmark name and binary name; a row regresses when
+// the current median is worse than the baseline median by more than the
+// tolerance configured for its unit.
+
+"use strict";
+
+const { pctDiff } = require("./helpers");
+
+/** Allowed slowdown/growth in percent before a row counts as a regression. */
+const DEFAULT_TOLERANCES = { ms: 5, bytes: 1 };
+
+// Throughput rows are timings in disguise and share the timing tolerance.
+const TOLERANCE_UNIT = { "ops/s": "ms", "B/s": "ms" };
+
+function toleranceFor(tolerances, unit) {
+  return tolerances[TOLERANCE_UNIT[unit] ?? unit];
+}
+
+// Change from the baseline median in percent. A row that was zero and no
+// longer is (e.g. a GC count) has changed infinitely, so any tolerance
+// catches it.
+function percentChange(was, now) {
+  if (was !== 0) return ((now - was) / was) * 100;
+  return now === 0 ? 0 : Math.sign(now) * Infinity;
+}
+
+/**
+ * Compare every (benchmark, binary) pair present in both documents.
+ * Rows whose unit has no configured tolerance are reported but never fail;
+ * a binary whose runs failed in the current document always does, as does
+ * a pair without a finite value on either side ("missing").
+ *
+ * @param {object} baseline - results document from readResultsFile()
+ * @param {object} current - results document from readResultsFile()
+ * @param {{ [unit: string]: number }} tolerances - percent per unit
+ * @returns {{ name: string, binary: string, base: string, cur: string,
+ *   diff: string, deltaPct: number, tolerance: number|undefined,
+ *   status: "ok"|"improved"|"REGRESSED"|"FAILED"|"missing"|"new" }[]}
+ */
+function compareToBaseline(baseline, current, tolerances = DEFAULT_TOLERANCES) {
+  const baseByName = new Map(baseline.results.map((r) => [r.name, r]));
+  const baseNames = baseline.binaries.map((b) => b.name);
+  const rows = [];
+
+  for (const r of current.results) {
+    const base = baseByName.get(r.name);
+    current.binaries.forEach(({ name: binary }, idx) => {
+      // A row that changed unit (e.g. ms vs ops/s with --throughput) is new.
+      const baseIdx =
+        base && base.unit === r.unit ? baseNames.indexOf(binary) : -1;
+      if (baseIdx === -1) {
+        rows.push({
+          name: r.name,
+          binary,
+          base: "-",
+          cur: r.fmts[idx],
+          diff: "-",
+          deltaPct: NaN,
+          tolerance: undefined,
+          status: "new",
+        });
+        return;
+      }
+      const failure = r.failures && r.failures[idx];
+      if (failure && failure.failed > 0) {
+        rows.push({
+          name: r.name,
+          binary,
+          base: base.fmts[baseIdx],
+          cur: `${failure.failed}/${failure.runs} failed`,
+          diff: "-",
+          deltaPct: NaN,
+          tolerance: toleranceFor(tolerances, r.unit),
+          status: "FAILED",
+        });
+        return;
+      }
+      const was = base.values[baseIdx];
+      const now = r.values[idx];
+      // A failed or empty measurement on either side (NaN, or null from JSON)
+      // can't be compared, and would pass every tolerance check.
+      if (!Number.isFinite(was) || !Number.isFinite(now)) {
+        rows.push({
+          name: r.name,
+          binary,
+          base: base.fmts[baseIdx] ?? "-",
+          cur: r.fmts[idx] ?? "-",
+          diff: "-",
+          deltaPct: NaN,
+          tolerance: toleranceFor(tolerances, r.unit),
+          status: "missing",
+        });
+        return;
+      }
+      const deltaPct = percentChange(was, now);
+      const worse = r.lowerIsBetter ? deltaPct : -deltaPct;
+      const tolerance = toleranceFor(tolerances, r.unit);
+      let status = "ok";
+      if (tolerance !== undefined && worse > tolerance) status = "REGRESSED";
+      else if (tolerance !== undefined && worse < -tolerance)
+        status = "improved";
+      rows.push({
+        name: r.name,
+        binary,
+        base: base.fmts[baseIdx],
+        cur: r.fmts[idx],
+        diff: was !== 0 ? pctDiff(was, now) : now === 0 ? "0.00%" : "from 0",
+        deltaPct,
+        tolerance,
+        status,
+      });
+    });
+  }
+  return rows;
+}
+
+// Statuses that fail the gate.
+const GATE_STATUSES = ["REGRESSED", "FAILED", "missing"];
+
+function printBaselineReport(rows, baseline, tolerances) {
+  const nameColW = 42;
+  const binColW = Math.max(8, ...rows.map((r) => r.binary.length + 2));
+  const valueColW = 16;
+  const diffColW = 12;
+  const statusColW = 11;
+  const sep = "-".repeat(
+    nameColW + binColW + valueColW * 2 + diffColW + statusColW + 17,
+  );
+  const tol = Object.entries(tolerances)
+    .map(([unit, pct]) => `${unit} ±${pct}%`)
+    .join(", ");
+
+  console.log(`\n=== Regression check vs baseline (${baseline.host.date}) ===`);
+  console.log(`Tolerance: ${tol}\n`);
+  console.log(sep);
+  console.log(
+    "| " +
+    "Benchmark".padEnd(nameColW) +
+    "| " +
+    "Binary".padEnd(binColW) +
+    "| " +
+    "Baseline".padEnd(valueColW) +
+    "| " +
+    "Current".padEnd(valueColW) +
+    "| " +
+    "Delta".padEnd(diffColW) +
+    "| " +
+    "Status".padEnd(statusColW) +
+    "|",
+  );
+  console.log(sep);
+  for (const r of rows) {
+    console.log(
+      "| " +
+      r.name.padEnd(nameColW) +
+      "| " +
+      r.binary.padEnd(binColW) +
+      "| " +
+      r.base.padEnd(valueColW) +
+      "| " +
+      r.cur.padEnd(valueColW) +
+      "| " +
+      r.diff.padEnd(diffColW) +
+      "| " +
+      r.status.padEnd(statusColW) +
+      "|",
+    );
+  }
+  console.log(sep);
+
+  const regressed = rows.filter((r) => GATE_STATUSES.includes(r.status)).length;
+  console.log(
+    regressed
+      ? `\n${regressed} row(s) regressed beyond tolerance, failed or have` +
+        " no value.\n"
+      : "\nNo regressions beyond tolerance.\n",
+  );
+  return regressed;
+}
+
+module.exports = { DEFAULT_TOLERANCES, compareToBaseline, printBaselineReport };
@@ -0,0 +1,188 @@
+// binfmt.js — Section size breakdown for ELF (Linux) and PE/COFF (Windows)
+// executables, in pure JavaScript. Only the headers and section tables are
+// read, so this is cheap even for 100 MB debug builds.
+
+"use strict";
+
+const fs = require("fs");
+
+/** Section groups reported by the Binary Size benchmark, in table order. */
+const SECTION_GROUPS = [
+  { key: "text", label: ".text" },
+  { key: "rodata", label: ".rodata/.rdata" },
+  { key: "data", label: ".data" },
+  { key: "bss", label: ".bss" },
+  { key: "debug", label: "debug" },
+  { key: "reloc", label: "relocations" },
+];
+
+// ─── File access ──────────────────────────────────────────────────────────────
+
+function readAt(fd, offset, length) {
+  const buf = Buffer.alloc(length);
+  const read = fs.readSync(fd, buf, 0, length, offset);
+  if (read < length) throw new Error("truncated header");
+  return buf;
+}
+
+// NUL-terminated string starting at `offset` in `buf`.
+function cString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  return buf.toString("latin1", offset, end === -1 ? buf.length : end);
+}
+
+// ─── ELF ──────────────────────────────────────────────────────────────────────
+
+const SHT_NOBITS = 8;
+const SHT_REL = 9;
+const SHT_RELA = 4;
+
+function elfGroup({ name, type }) {
+  if (type === SHT_RELA || type === SHT_REL) return "reloc";
+  if (/^\.text(\.|$)/.test(name)) return "text";
+  if (/^\.rodata(\.|$)/.test(name)) return "rodata";
+  if (/^\.data(\.|$)/.test(name)) return "data"; // includes .data.rel.ro
+  if (/^\.t?bss(\.|$)/.test(name)) return "bss";
+  if (/^\.z?debug_/.test(name)) return "debug";
+  return null;
+}
+
+function parseElf(fd, ident) {
+  const is64 = ident[4] === 2;
+  const le = ident[5] === 1;
+  const hdr = readAt(fd, 0, is64 ? 64 : 52);
+  const u16 = (b, o) => (le ? b.readUInt16LE(o) : b.readUInt16BE(o));
+  const u32 = (b, o) => (le ? b.readUInt32LE(o) : b.readUInt32BE(o));
+  const uword = (b, o) =>
+    is64
+      ? Number(le ? b.readBigUInt64LE(o) : b.readBigUInt64BE(o))
+      : u32(b, o);
+
+  const shoff = uword(hdr, is64 ? 0x28 : 0x20);
+  const shentsize = u16(hdr, is64 ? 0x3a : 0x2e);
+  const shnum = u16(hdr, is64 ? 0x3c : 0x30);
+  const shstrndx = u16(hdr, is64 ? 0x3e : 0x32);
+  if (shoff === 0 || shnum === 0) return [];
+
+  const table = readAt(fd, shoff, shentsize * shnum);
+  const headers = [];
+  for (let i = 0; i < shnum; i++) {
+    const o = i * shentsize;
+    headers.push({
+      nameOff: u32(table, o),
+      type: u32(table, o + 4),
+      offset: uword(table, is64 ? o + 24 : o + 16),
+      size: uword(table, is64 ? o + 32 : o + 20),
+    });
+  }
+  const strtab = headers[shstrndx];
+  const names = readAt(fd, strtab.offset, strtab.size);
+  return headers.map((h) => ({
+    name: cString(names, h.nameOff),
+    type: h.type,
+    size: h.size,
+    inFile: h.type !== SHT_NOBITS,
+  }));
+}
+
+// ─── PE/COFF ──────────────────────────────────────────────────────────────────
+
+const COFF_SYMBOL_SIZE = 18;
+
+function peGroup({ name }) {
+  if (name === ".text") return "text";
+  if (name === ".rdata") return "rodata";
+  if (name === ".data") return "data";
+  if (name === ".bss") return "bss";
+  if (name.startsWith(".debug")) return "debug"; // MinGW/clang DWARF builds
+  if (name === ".reloc") return "reloc";
+  return null;
+}
+
+function parsePe(fd) {
+  const peOffset = readAt(fd, 0x3c, 4).readUInt32LE(0);
+  const coff = readAt(fd, peOffset, 24);
+  if (coff.readUInt32LE(0) !== 0x00004550) throw new Error("bad PE signature");
+  const nsections = coff.readUInt16LE(6);
+  const symtabOff = coff.readUInt32LE(12);
+  const nsymbols = coff.readUInt32LE(16);
+  const optSize = coff.readUInt16LE(20);
+
+  // Names longer than 8 bytes are "/<offset>" into the COFF string table,
+  // which MinGW and clang use for their .debug_* sections.
+  let strings = null;
+  if (symtabOff !== 0) {
+    const strOff = symtabOff + nsymbols * COFF_SYMBOL_SIZE;
+    const strLen = readAt(fd, strOff, 4).readUInt32LE(0);
+    strings = readAt(fd, strOff, strLen);
+  }
+
+  const table = readAt(fd, peOffset + 24 + optSize, nsections * 40);
+  const sections = [];
+  for (let i = 0; i < nsections; i++) {
+    const o = i * 40;
+    let name = cString(table.subarray(o, o + 8), 0);
+    if (strings && /^\/\d+$/.test(name)) {
+      name = cString(strings, Number(name.slice(1)));
+    }
+    const virtualSize = table.readUInt32LE(o + 8);
+    const rawSize = table.readUInt32LE(o + 16);
+    // Uninitialized data has no raw bytes; count its in-memory size instead.
+    sections.push({
+      name,
+      size: rawSize || virtualSize,
+      inFile: rawSize > 0,
+    });
+  }
+  return sections;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * List the sections of an executable.
+ * @param {string} file
+ * @returns {{ format: "elf"|"pe"|null, sections: { name: string,
+ *   size: number, inFile: boolean, group: string|null }[] }}
+ *   format is null (and sections empty) for anything else, e.g. Mach-O.
+ * Throws if the file claims to be ELF/PE but its headers are truncated.
+ */
+function readSections(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const ident = Buffer.alloc(16);
+    fs.readSync(fd, ident, 0, 16, 0);
+    if (ident.readUInt32BE(0) === 0x7f454c46) {
+      const sections = parseElf(fd, ident);
+      return {
+        format: "elf",
+        sections: sections.map((s) => ({ ...s, group: elfGroup(s) })),
+      };
+    }
+    if (ident.toString("latin1", 0, 2) === "MZ") {
+      const sections = parsePe(fd);
+      return {
+        format: "pe",
+        sections: sections.map((s) => ({ ...s, group: peGroup(s) })),
+      };
+    }
+    return { format: null, sections: [] };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Total bytes per SECTION_GROUPS key for an executable.
+ * @returns {{ format: string|null, groups: { [key: string]: number } }}
+ */
+function sectionSizes(file) {
+  const { format, sections } = readSections(file);
+  const groups = Object.fromEntries(SECTION_GROUPS.map((g) => [g.key, 0]));
+  for (const s of sections) {
+    if (s.group) groups[s.group] += s.size;
+  }
+  return { format, groups };
+}
+
+module.exports = { SECTION_GROUPS, readSections, sectionSizes };
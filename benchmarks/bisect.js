@@ -0,0 +1,120 @@
+// Bisect an ordered list of binaries for the first one where a benchmark
+// regressed
+// Run with: node bisect.js <good> [<binary> ...] <bad> --benchmark <name>
+//           node bisect.js --dir <nightlies> --benchmark <name>
+//             [--row <name>] [--threshold <pct>] [options]
+//
+// Thin CLI wrapper around bisection.bisect(). Exits non-zero when no
+// regression is found between the endpoints or a candidate's runs fail.
+
+require("./node_version");
+const { parseArgs } = require("util");
+const { resolveCompareOptions } = require("./cli");
+const {
+  DEFAULT_BISECT_THRESHOLD,
+  candidatesFromPaths,
+  listCandidates,
+  findBenchmark,
+  bisect,
+  printBisectResult,
+} = require("./bisection");
+
+// Runner options that apply to a bisection, plus its own.
+const OPTIONS = {
+  dir: { type: "string" },
+  benchmark: { type: "string" },
+  row: { type: "string" },
+  threshold: { type: "string" },
+  alpha: { type: "string" },
+  "exclude-outliers": { type: "boolean" },
+  iterations: { type: "string" },
+  warmup: { type: "string" },
+  adaptive: { type: "boolean" },
+  "target-ci": { type: "string" },
+  "max-iterations": { type: "string" },
+  "max-time": { type: "string" },
+  "bench-dir": { type: "string", multiple: true },
+  timeout: { type: "string" },
+};
+
+const OPTION_HELP = [
+  ["--dir <path>", "bisect the binaries in a directory, in name order"],
+  ["--benchmark <name>", "benchmark to bisect on (name or --filter pattern)"],
+  ["--row <name>", "row of that benchmark (default: its first row)"],
+  [
+    "--threshold <pct>",
+    `smallest regression (default ${DEFAULT_BISECT_THRESHOLD})`,
+  ],
+  ["--alpha <p>", "significance level of a regression"],
+  ["--exclude-outliers", "drop Tukey outliers before computing statistics"],
+  ["--iterations <n>", "measured rounds per step"],
+  ["--warmup <n>", "unmeasured rounds per step"],
+  ["--adaptive", "sample until each median CI is narrow enough"],
+  ["--target-ci <pct>", "adaptive CI width vs median"],
+  ["--max-iterations <n>", "adaptive cap"],
+  ["--max-time <s>", "adaptive cap per step"],
+  ["--bench-dir <path>", "add plugin benchmarks from a file or directory"],
+  ["--timeout <s>", "kill a run after this long"],
+];
+
+const USAGE =
+  "Usage: node bisect.js <good> [<binary> ...] <bad> --benchmark <name>" +
+  " [options]\n       node bisect.js --dir <path> --benchmark <name>" +
+  " [options]\n\nOptions:\n" +
+  OPTION_HELP.map(([flag, text]) => `  ${flag.padEnd(22)}${text}`).join("\n");
+
+// Everything the bisection needs, or a thrown usage error.
+function prepare(values, positionals) {
+  if (!values.benchmark) throw new TypeError("--benchmark is required");
+  if (values.dir && positionals.length > 0) {
+    throw new TypeError("--dir takes the place of the binary list");
+  }
+  const candidates = values.dir
+    ? listCandidates(values.dir)
+    : candidatesFromPaths(positionals);
+  if (candidates.length < 2) {
+    throw new TypeError("Bisecting needs at least two binaries");
+  }
+  const threshold =
+    values.threshold === undefined
+      ? DEFAULT_BISECT_THRESHOLD
+      : Number(values.threshold);
+  if (!(threshold > 0)) {
+    throw new RangeError("--threshold must be a positive number");
+  }
+  const { benchmarks, ...compareOptions } = resolveCompareOptions(values);
+  return {
+    candidates,
+    benchmark: findBenchmark(benchmarks, values.benchmark),
+    row: values.row ?? null,
+    threshold,
+    compareOptions,
+  };
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    opts = prepare(values, positionals);
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 1;
+  }
+  const found = await bisect(opts);
+  printBisectResult(found);
+  return found.firstBad ? 0 : 1;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
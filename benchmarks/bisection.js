@@ -0,0 +1,302 @@
+// bisection.js — Find the first binary in an ordered list (e.g. a directory
+// of nightly builds) where one benchmark row regressed. The first binary is
+// the known-good endpoint and the last the known-bad one; every candidate is
+// compared against the good endpoint with compare(), and a candidate is bad
+// when the row is worse by at least the threshold and the Mann-Whitney U
+// test says so at the run's alpha.
+//
+//   const { bisect } = require("./benchmarks/bisection");
+//   const found = await bisect({ candidates, benchmark, threshold: 5 });
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { pctDiff, formatPValue } = require("./helpers");
+const { compare } = require("./runner");
+const { comparePair } = require("./reporters");
+const { filterBenchmarks } = require("./selection");
+const { getBinaryName } = require("./variants");
+
+/** Smallest slowdown/growth of the row that counts as a regression, in %. */
+const DEFAULT_BISECT_THRESHOLD = 5;
+
+// ─── Candidates ───────────────────────────────────────────────────────────────
+
+const NODE_NAMES = ["node", "node.exe"];
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+
+// Label of a binary path: its file name, or the folder above bin/ for an
+// unpacked release (node-v22.0.0-nightly.../bin/node).
+function pathLabel(binary) {
+  const dir = path.dirname(path.resolve(binary));
+  return path.basename(dir) === "bin" &&
+    NODE_NAMES.includes(path.basename(binary).toLowerCase())
+    ? path.basename(path.dirname(dir))
+    : getBinaryName(binary);
+}
+
+// Labels that occur more than once.
+function duplicates(labels) {
+  return new Set(labels.filter((l, i) => labels.indexOf(l) !== i));
+}
+
+/**
+ * Candidates for binary paths given in order. Each is labelled as by
+ * pathLabel(); labels that clash (a/node, b/node) get parent folders added
+ * until they differ, and the list position as a last resort.
+ * @param {string[]} binaries
+ * @returns {{ label: string, binary: string }[]}
+ */
+function candidatesFromPaths(binaries) {
+  const parts = binaries.map((b) => path.resolve(b).split(path.sep));
+  const labels = binaries.map(pathLabel);
+  const names = [...labels];
+  const deepest = Math.max(...parts.map((p) => p.length));
+  for (let depth = 2; depth <= deepest; depth++) {
+    const clashing = duplicates(labels);
+    if (clashing.size === 0) break;
+    labels.forEach((label, i) => {
+      if (clashing.has(label)) labels[i] = parts[i].slice(-depth).join("/");
+    });
+  }
+  const clashing = duplicates(labels);
+  return binaries.map((binary, i) => ({
+    label: clashing.has(labels[i]) ? `${names[i]} #${i + 1}` : labels[i],
+    binary,
+  }));
+}
+
+// Binary inside a directory entry: the file itself, or bin/node (Unix
+// release layout) or node.exe (Windows) in an unpacked release folder.
+function entryBinary(file) {
+  if (!fs.statSync(file).isDirectory()) return file;
+  const inside = [
+    path.join(file, "bin", "node"),
+    path.join(file, "node.exe"),
+    path.join(file, "node"),
+  ];
+  return inside.find((f) => fs.existsSync(f) && fs.statSync(f).isFile());
+}
+
+/**
+ * Candidates from a directory of binaries or unpacked release folders, in
+ * natural name order (so nightly20260309 sorts before nightly20260310 and
+ * v22.9.0 before v22.10.0). Entries without a binary are skipped.
+ * @param {string} dir
+ * @returns {{ label: string, binary: string }[]}
+ */
+function listCandidates(dir) {
+  const candidates = [];
+  for (const entry of fs.readdirSync(dir).sort(byName)) {
+    if (entry.startsWith(".")) continue;
+    const binary = entryBinary(path.join(dir, entry));
+    if (!binary) continue;
+    candidates.push({ label: entry.replace(/\.exe$/i, ""), binary });
+  }
+  return candidates;
+}
+
+// ─── Bisection ────────────────────────────────────────────────────────────────
+
+/**
+ * Registry entry named `name` (case-insensitive), or the single one matching
+ * it as a --filter pattern. Throws a RangeError when none or several match.
+ */
+function findBenchmark(benchmarks, name) {
+  const exact = benchmarks.find(
+    (b) => b.name.toLowerCase() === name.toLowerCase(),
+  );
+  if (exact) return exact;
+  const { selected } = filterBenchmarks(benchmarks, { filter: [name] });
+  if (selected.length > 1) {
+    throw new RangeError(
+      `"${name}" matches ${selected.length} benchmarks: ` +
+      selected.map((b) => b.name).join(", "),
+    );
+  }
+  return selected[0];
+}
+
+// The row bisected on: the first one matching `row`, or the benchmark's
+// first row.
+function pickRow(results, bench, row) {
+  if (!row) return results[0];
+  try {
+    return filterBenchmarks(results, { filter: [row] }).selected[0];
+  } catch {
+    throw new RangeError(
+      `No row of ${bench.name} matches "${row}" (rows: ` +
+      results.map((r) => r.name).join(", ") +
+      ")",
+    );
+  }
+}
+
+// Why the runs of one side of a row failed, e.g. "3/30 runs failed: exit 1".
+function describeRowFailure(failure) {
+  const reasons = Object.entries(failure.reasons)
+    .map(([reason, n]) => (n > 1 ? `${reason} (${n}x)` : reason))
+    .join(", ");
+  return `${failure.failed}/${failure.runs} runs failed: ${reasons}`;
+}
+
+/**
+ * Verdict for a candidate (binary 1 of the row) against the good endpoint
+ * (binary 0): how much worse it is, in percent, and whether that is a
+ * regression.
+ */
+function judgeRow(r, threshold, alpha) {
+  const [good, cand] = r.values;
+  const pct = ((cand - good) / good) * 100;
+  const worse = r.lowerIsBetter === false ? -pct : pct;
+  const { p } = comparePair(r);
+  return {
+    pct,
+    worse,
+    p,
+    regressed: worse >= threshold && p !== null && p < alpha,
+  };
+}
+
+/** "+8.31% worse, p=0.002" for a bisect step. */
+function describeVerdict(step) {
+  const p = step.p === null ? "" : `, p=${formatPValue(step.p)}`;
+  const direction = step.worse >= 0 ? "worse" : "better";
+  return `${pctDiff(step.good, step.value)} ${direction}${p}`;
+}
+
+/**
+ * Bisect an ordered list of binaries for the first one where a benchmark row
+ * regressed against the first (known-good) binary. The last binary is
+ * checked first; when it has not regressed there is nothing to bisect and
+ * `firstBad` is null. Each step is one compare() of the good endpoint and a
+ * candidate, so the usual randomized order, sampling options and statistics
+ * apply. Runs that fail (crash, timeout, bad output) stop the bisection with
+ * an error naming the binary, since its verdict would be a guess.
+ *
+ * @param {object} opts
+ * @param {{ label: string, binary: string }[]} opts.candidates - oldest
+ *   first; at least two
+ * @param {{ name: string, fn: Function }} opts.benchmark - registry entry
+ * @param {string} [opts.row] - row name pattern, for benchmarks with several
+ *   rows (default: the first row)
+ * @param {number} [opts.threshold] - percent
+ * @param {object} [opts.compareOptions] - passed to compare() (iterations,
+ *   warmup, adaptive, alpha, excludeOutliers, timeoutMs)
+ * @param {(line?: string) => void} [opts.log] - progress output
+ * @returns {Promise<{ row: string, unit: string, lastGood: object,
+ *   firstBad: object|null, steps: { candidate: object, good: number,
+ *   value: number, fmt: string, goodFmt: string, pct: number,
+ *   worse: number, p: number|null, regressed: boolean }[] }>}
+ */
+async function bisect({
+  candidates,
+  benchmark,
+  row = null,
+  threshold = DEFAULT_BISECT_THRESHOLD,
+  compareOptions = {},
+  log = console.log,
+}) {
+  if (candidates.length < 2) {
+    throw new TypeError("bisect() needs at least two binaries");
+  }
+  const [good] = candidates;
+  const steps = [];
+  let rowName = null;
+  let unit = null;
+
+  const test = async (idx) => {
+    const candidate = candidates[idx];
+    const doc = await compare({
+      ...compareOptions,
+      binaries: [good, candidate],
+      benchmarks: [benchmark],
+      skipped: [],
+      reporters: [],
+    });
+    const r = rowName
+      ? doc.results.find((x) => x.name === rowName && x.unit === unit)
+      : pickRow(doc.results, benchmark, row);
+    if (!r) throw new Error(`${candidate.label} has no "${rowName}" row`);
+    ({ name: rowName, unit } = r);
+    r.failures?.forEach((failure, i) => {
+      if (failure.failed === 0) return;
+      const { label } = i === 0 ? good : candidate;
+      throw new Error(
+        `${label}: ${describeRowFailure(failure)}; remove it from the` +
+        " list to bisect past it",
+      );
+    });
+    const step = {
+      candidate,
+      good: r.values[0],
+      value: r.values[1],
+      goodFmt: r.fmts[0],
+      fmt: r.fmts[1],
+      ...judgeRow(r, threshold, doc.host.alpha),
+    };
+    steps.push(step);
+    log(
+      `  ${candidate.label}: ${step.fmt} vs ${step.goodFmt}` +
+      `, ${describeVerdict(step)} -> ${step.regressed ? "BAD" : "good"}`,
+    );
+    return step.regressed;
+  };
+
+  let lo = 0;
+  let hi = candidates.length - 1;
+  const remaining = () => Math.ceil(Math.log2(hi - lo));
+  log(
+    `Bisecting ${candidates.length} binaries from ${good.label} to` +
+    ` ${candidates[hi].label} (at most ${remaining() + 1} step(s))`,
+  );
+  log(`Regression: at least ${threshold}% worse than ${good.label}\n`);
+
+  if (!(await test(hi))) {
+    const lastGood = candidates[hi];
+    return { row: rowName, unit, lastGood, firstBad: null, steps };
+  }
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (await test(mid)) hi = mid;
+    else lo = mid;
+  }
+  return {
+    row: rowName,
+    unit,
+    lastGood: candidates[lo],
+    firstBad: candidates[hi],
+    steps,
+  };
+}
+
+/**
+ * Print the outcome of bisect(): the first regressed binary with its step,
+ * or a note that the last binary did not regress.
+ * @param {object} found - from bisect()
+ * @param {(line?: string) => void} [log]
+ */
+function printBisectResult(found, log = console.log) {
+  const { row, firstBad, lastGood, steps } = found;
+  log(`\n=== Bisect: ${row} ===\n`);
+  if (!firstBad) {
+    log(`No regression: ${lastGood.label} is not worse beyond the threshold.`);
+    return;
+  }
+  const step = steps.find((s) => s.candidate === firstBad);
+  log(`First bad binary: ${firstBad.label} (${firstBad.binary})`);
+  log(`Last good binary: ${lastGood.label} (${lastGood.binary})`);
+  log(`${row}: ${step.fmt} vs ${step.goodFmt}, ${describeVerdict(step)}`);
+  log(`Steps: ${steps.length}`);
+}
+
+module.exports = {
+  DEFAULT_BISECT_THRESHOLD,
+  candidatesFromPaths,
+  listCandidates,
+  findBenchmark,
+  bisect,
+  printBisectResult,
+};
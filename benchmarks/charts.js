@@ -0,0 +1,221 @@
+// charts.js — Inline SVG charts for the HTML reports. Each result row gets one
+// lane per binary on a shared horizontal axis: a violin (Gaussian kernel
+// density of the raw samples) with a box plot drawn inside it. Trends get a
+// line chart of medians across runs.
+
+"use strict";
+
+const { quantile } = require("./helpers");
+
+const CHART_W = 720;
+const LABEL_W = 150; // binary names, left of the plot area
+const RIGHT_PAD = 16;
+const LANE_H = 44;
+const AXIS_H = 28;
+const KDE_POINTS = 64;
+
+/** Lane colours, cycled when there are more binaries. */
+const PALETTE = ["#4e79a7", "#f28e2b", "#59a14f", "#e15759", "#76b7b2", "#b07aa1"];
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Density at each of `xs`, with Silverman's rule-of-thumb bandwidth.
+function kde(samples, xs) {
+  const n = samples.length;
+  const m = samples.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(samples.reduce((a, v) => a + (v - m) ** 2, 0) / n);
+  const bw = 1.06 * sd * n ** -0.2;
+  if (!(bw > 0)) return null;
+  const norm = 1 / (n * bw * Math.sqrt(2 * Math.PI));
+  return xs.map(
+    (x) => norm * samples.reduce((a, v) => a + Math.exp(-0.5 * ((x - v) / bw) ** 2), 0),
+  );
+}
+
+// Quartiles and Tukey whiskers (the most extreme samples within 1.5×IQR).
+function boxStats(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter((v) => v >= q1 - fence && v <= q3 + fence);
+  return {
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    lo: inside[0],
+    hi: inside[inside.length - 1],
+  };
+}
+
+// Axis range covering every sample, padded so nothing sits on the frame.
+function axisRange(samples) {
+  const all = samples.flat();
+  let lo = Math.min(...all);
+  let hi = Math.max(...all);
+  if (lo === hi) {
+    const pad = Math.abs(lo) * 0.05 || 1;
+    return [lo - pad, hi + pad];
+  }
+  const pad = (hi - lo) * 0.05;
+  lo -= pad;
+  hi += pad;
+  return [lo, hi];
+}
+
+const f1 = (v) => v.toFixed(1);
+
+/**
+ * SVG showing each binary's sample distribution for one result row.
+ * @param {string[]} names - binary names, one lane each
+ * @param {number[][]} samples - raw samples per binary (all non-empty)
+ * @param {(v: number) => string} format - axis tick labels, in the row's unit
+ * @returns {string}
+ */
+function distributionChart(names, samples, format) {
+  const height = names.length * LANE_H + AXIS_H;
+  const [lo, hi] = axisRange(samples);
+  const plotW = CHART_W - LABEL_W - RIGHT_PAD;
+  const x = (v) => LABEL_W + ((v - lo) / (hi - lo)) * plotW;
+  const xs = Array.from(
+    { length: KDE_POINTS },
+    (_, k) => lo + ((hi - lo) * k) / (KDE_POINTS - 1),
+  );
+  const parts = [];
+
+  samples.forEach((s, i) => {
+    const color = PALETTE[i % PALETTE.length];
+    const cy = i * LANE_H + LANE_H / 2;
+    parts.push(
+      `<text x="${LABEL_W - 8}" y="${f1(cy + 4)}" text-anchor="end">${escapeXml(names[i])}</text>`,
+    );
+
+    const density = s.length >= 3 ? kde(s, xs) : null;
+    if (density) {
+      const peak = Math.max(...density);
+      const half = (d) => (d / peak) * (LANE_H * 0.42);
+      const top = xs.map((v, k) => `${f1(x(v))},${f1(cy - half(density[k]))}`);
+      const bottom = xs
+        .map((v, k) => `${f1(x(v))},${f1(cy + half(density[k]))}`)
+        .reverse();
+      parts.push(
+        `<polygon points="${[...top, ...bottom].join(" ")}" fill="${color}" fill-opacity="0.25" stroke="${color}"/>`,
+      );
+    }
+
+    const b = boxStats(s);
+    parts.push(
+      `<line x1="${f1(x(b.lo))}" x2="${f1(x(b.hi))}" y1="${f1(cy)}" y2="${f1(cy)}" stroke="${color}"/>`,
+      `<rect x="${f1(x(b.q1))}" y="${f1(cy - 6)}" width="${f1(Math.max(1, x(b.q3) - x(b.q1)))}" height="12" fill="#fff" stroke="${color}"/>`,
+      `<line x1="${f1(x(b.median))}" x2="${f1(x(b.median))}" y1="${f1(cy - 6)}" y2="${f1(cy + 6)}" stroke="${color}" stroke-width="2.5"/>`,
+    );
+    for (const v of s) {
+      if (v < b.lo || v > b.hi) {
+        parts.push(
+          `<circle cx="${f1(x(v))}" cy="${f1(cy)}" r="2" fill="${color}"/>`,
+        );
+      }
+    }
+  });
+
+  const axisY = names.length * LANE_H;
+  parts.push(
+    `<line x1="${LABEL_W}" x2="${LABEL_W + plotW}" y1="${axisY}" y2="${axisY}" stroke="#999"/>`,
+  );
+  for (let k = 0; k <= 4; k++) {
+    const v = lo + ((hi - lo) * k) / 4;
+    const anchor = k === 0 ? "start" : k === 4 ? "end" : "middle";
+    parts.push(
+      `<line x1="${f1(x(v))}" x2="${f1(x(v))}" y1="${axisY}" y2="${axisY + 4}" stroke="#999"/>`,
+      `<text x="${f1(x(v))}" y="${axisY + 18}" text-anchor="${anchor}" fill="#555">${escapeXml(format(v))}</text>`,
+    );
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_W}" height="${height}"` +
+    ` viewBox="0 0 ${CHART_W} ${height}" font-family="sans-serif" font-size="12">` +
+    parts.join("") +
+    "</svg>"
+  );
+}
+
+// ─── Trend chart ──────────────────────────────────────────────────────────────
+
+const TREND_H = 220;
+const TREND_LEFT = 90; // y-axis labels
+const TREND_BOTTOM = 36; // x-axis labels
+const TREND_TOP = 12;
+const STEP_COLORS = { better: "#59a14f", worse: "#e15759" };
+const MAX_X_LABELS = 12;
+
+/**
+ * SVG line chart of one series across runs: the median with a ±stddev bar
+ * per point, evenly spaced in run order. Step changes are drawn larger in
+ * green (better) or red (worse).
+ * @param {{ label: string, value: number, std: number|null,
+ *   step: "better"|"worse"|null }[]} points - oldest first
+ * @param {(v: number) => string} format - y-axis labels, in the row's unit
+ * @returns {string}
+ */
+function trendChart(points, format) {
+  const lows = points.map((p) => p.value - (p.std ?? 0));
+  const highs = points.map((p) => p.value + (p.std ?? 0));
+  let lo = Math.min(...lows);
+  let hi = Math.max(...highs);
+  const pad = (hi - lo) * 0.1 || Math.abs(hi) * 0.05 || 1;
+  lo -= pad;
+  hi += pad;
+  const plotW = CHART_W - TREND_LEFT - RIGHT_PAD;
+  const plotH = TREND_H - TREND_TOP - TREND_BOTTOM;
+  const x = (k) =>
+    TREND_LEFT +
+    (points.length === 1 ? plotW / 2 : (plotW * k) / (points.length - 1));
+  const y = (v) => TREND_TOP + plotH - ((v - lo) / (hi - lo)) * plotH;
+  const color = PALETTE[0];
+  const parts = [];
+
+  for (let k = 0; k <= 4; k++) {
+    const v = lo + ((hi - lo) * k) / 4;
+    parts.push(
+      `<line x1="${TREND_LEFT}" x2="${TREND_LEFT + plotW}" y1="${f1(y(v))}" y2="${f1(y(v))}" stroke="#eee"/>`,
+      `<text x="${TREND_LEFT - 6}" y="${f1(y(v) + 4)}" text-anchor="end" fill="#555">${escapeXml(format(v))}</text>`,
+    );
+  }
+  const every = Math.ceil(points.length / MAX_X_LABELS);
+  points.forEach((p, k) => {
+    if (k % every !== 0 && k !== points.length - 1) return;
+    parts.push(
+      `<text x="${f1(x(k))}" y="${TREND_H - TREND_BOTTOM + 18}" text-anchor="middle" fill="#555">${escapeXml(p.label)}</text>`,
+    );
+  });
+
+  parts.push(
+    `<polyline points="${points.map((p, k) => `${f1(x(k))},${f1(y(p.value))}`).join(" ")}" fill="none" stroke="${color}" stroke-width="1.5"/>`,
+  );
+  points.forEach((p, k) => {
+    const c = p.step ? STEP_COLORS[p.step] : color;
+    if (p.std) {
+      parts.push(
+        `<line x1="${f1(x(k))}" x2="${f1(x(k))}" y1="${f1(y(lows[k]))}" y2="${f1(y(highs[k]))}" stroke="${c}"/>`,
+      );
+    }
+    parts.push(
+      `<circle cx="${f1(x(k))}" cy="${f1(y(p.value))}" r="${p.step ? 5 : 3}" fill="${c}"/>`,
+    );
+  });
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_W}" height="${TREND_H}"` +
+    ` viewBox="0 0 ${CHART_W} ${TREND_H}" font-family="sans-serif" font-size="12">` +
+    parts.join("") +
+    "</svg>"
+  );
+}
+
+module.exports = { PALETTE, escapeXml, distributionChart, trendChart };
@@ -0,0 +1,418 @@
+// cli.js — Command-line front end shared by index.js and both runner scripts.
+// Options may appear anywhere; every positional argument is a binary path.
+// Binaries and --variant/--variants targets are compared in command-line order.
+
+"use strict";
+
+const { parseArgs } = require("util");
+const { DEFAULT_ALPHA } = require("./helpers");
+const {
+  DEFAULT_ITERATIONS,
+  DEFAULT_WARMUP,
+  DEFAULT_TIMEOUT_MS,
+  compare,
+} = require("./runner");
+const {
+  consoleReporter,
+  textReporter,
+  jsonReporter,
+} = require("./reporters");
+const {
+  markdownReporter,
+  csvReporter,
+  htmlReporter,
+} = require("./formats");
+const { storeReporter } = require("./store");
+const { loadPlugins } = require("./plugins");
+const { parseVariantSpec, loadVariantsFile } = require("./variants");
+const {
+  PRESETS_DIR,
+  listPresets,
+  loadPreset,
+  selectBenchmarks,
+} = require("./presets");
+const { filterBenchmarks } = require("./selection");
+const { CATEGORIES, benchmarks: defaultBenchmarks } = require(".");
+
+const DEFAULT_TARGET_CI = 2; // percent of the median
+const DEFAULT_MAX_ITERATIONS = 200;
+const DEFAULT_MAX_TIME = 120; // seconds per benchmark
+
+const OPTIONS = {
+  json: { type: "string" },
+  output: { type: "string" },
+  markdown: { type: "string" },
+  csv: { type: "string" },
+  html: { type: "string" },
+  store: { type: "string" },
+  alpha: { type: "string" },
+  "exclude-outliers": { type: "boolean" },
+  iterations: { type: "string" },
+  warmup: { type: "string" },
+  adaptive: { type: "boolean" },
+  "target-ci": { type: "string" },
+  "max-iterations": { type: "string" },
+  "max-time": { type: "string" },
+  "bench-dir": { type: "string", multiple: true },
+  timeout: { type: "string" },
+  "resource-usage": { type: "boolean" },
+  throughput: { type: "boolean" },
+  control: { type: "string" },
+  variant: { type: "string", multiple: true },
+  variants: { type: "string", multiple: true },
+  filter: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  category: { type: "string", multiple: true },
+  "exclude-category": { type: "string", multiple: true },
+  list: { type: "boolean" },
+};
+
+/** One line of help per runner option, shown in usage errors. */
+const OPTION_HELP = [
+  ["--json <file>", "write results + raw samples as JSON"],
+  ["--output <file>", "also write the console report to a text file"],
+  ["--markdown <file>", "write a Markdown report (e.g. for a PR comment)"],
+  ["--csv <file>", "write one CSV line per benchmark row and binary"],
+  ["--html <file>", "write an HTML report with distribution charts"],
+  ["--store <dir>", "add the run to a results store (see trend_report.js)"],
+  ["--alpha <p>", `significance level (default ${DEFAULT_ALPHA})`],
+  ["--exclude-outliers", "drop Tukey outliers before computing statistics"],
+  ["--iterations <n>", `measured rounds (default ${DEFAULT_ITERATIONS})`],
+  ["--warmup <n>", `unmeasured rounds (default ${DEFAULT_WARMUP})`],
+  ["--adaptive", "sample until each median CI is narrow enough"],
+  ["--target-ci <pct>", `CI width vs median (default ${DEFAULT_TARGET_CI})`],
+  ["--max-iterations <n>", `adaptive cap (default ${DEFAULT_MAX_ITERATIONS})`],
+  ["--max-time <s>", `adaptive cap per bench (default ${DEFAULT_MAX_TIME})`],
+  ["--bench-dir <path>", "add plugin benchmarks from a file or directory"],
+  [
+    "--timeout <s>",
+    `kill a run after this long (default ${DEFAULT_TIMEOUT_MS / 1000})`,
+  ],
+  [
+    "--resource-usage",
+    "add peak RSS, CPU time and fault/switch rows (slows every timed run)",
+  ],
+  ["--throughput", "report fixed-work benchmarks as ops/s or MB/s"],
+  ["--control <binary>", "run a hidden A/A copy of a binary to measure noise"],
+  ["--variant <spec>", 'add "label=[ENV=v ...] binary [flags ...]"'],
+  ["--variants <file>", "add the variants in a JSON file"],
+  ["--filter <pattern>", "run benchmarks whose name matches (substring/glob)"],
+  ["--exclude <pattern>", "skip benchmarks whose name matches"],
+  [
+    "--category <list>",
+    `run only these categories (${CATEGORIES.join(",")})`,
+  ],
+  ["--exclude-category <list>", "skip these categories"],
+  ["--list", "list the selected benchmarks and exit"],
+];
+
+/** Usage text for a script, e.g. formatUsage("index.js <bin1> <bin2> ..."). */
+function formatUsage(synopsis, extraHelp = []) {
+  const lines = [...OPTION_HELP, ...extraHelp].map(
+    ([flag, text]) => `  ${flag.padEnd(26)}${text}`,
+  );
+  return `Usage: node ${synopsis} [options]\n\nOptions:\n${lines.join("\n")}`;
+}
+
+/**
+ * Split runner arguments into compare() targets and parsed options. Targets
+ * are binary paths and --variant/--variants entries, in command-line order.
+ * Throws a TypeError on unknown options, a missing option value or a
+ * malformed variant, and the read/parse error for a bad variants file.
+ *
+ * @param {string[]} argv - arguments after the script name
+ * @param {object} [extraOptions] - additional parseArgs option specs (index.js only)
+ * @returns {{ bins: (string|object)[], options: object }}
+ */
+function parseCliArgs(argv, extraOptions = {}) {
+  const { values, tokens } = parseArgs({
+    args: argv,
+    options: { ...OPTIONS, ...extraOptions },
+    allowPositionals: true,
+    tokens: true,
+  });
+  const bins = [];
+  for (const token of tokens) {
+    if (token.kind === "positional") bins.push(token.value);
+    if (token.kind !== "option") continue;
+    if (token.name === "variant") bins.push(parseVariantSpec(token.value));
+    if (token.name === "variants") bins.push(...loadVariantsFile(token.value));
+  }
+  return { bins, options: values };
+}
+
+// Numeric option value, or `fallback` when absent. Throws a RangeError when
+// the value is not a positive number (or zero, if allowed).
+function numberOption(
+  options,
+  key,
+  fallback,
+  { integer = true, allowZero = false } = {},
+) {
+  if (options[key] === undefined) return fallback;
+  const n = Number(options[key]);
+  const inRange = allowZero ? n >= 0 : n > 0;
+  if (!inRange || (integer && !Number.isInteger(n))) {
+    throw new RangeError(
+      `--${key} must be a ${allowZero ? "non-negative" : "positive"}` +
+      ` ${integer ? "integer" : "number"}, got ${options[key]}`,
+    );
+  }
+  return n;
+}
+
+/**
+ * Translate parsed CLI options into compare() options (reporters excluded).
+ * Benchmarks are the registry plus --bench-dir plugins, narrowed to `only`
+ * (exact names, e.g. a preset's list) and then by --filter, --exclude,
+ * --category and --exclude-category; the names left out are returned as
+ * `skipped`. Throws a RangeError on invalid values or an empty selection, or
+ * the plugin loader's error when a --bench-dir file is unusable.
+ *
+ * @param {object} options - parseArgs values
+ * @param {{ only?: string[]|null }} [selection]
+ */
+function resolveCompareOptions(options, { only = null } = {}) {
+  const alpha = numberOption(options, "alpha", DEFAULT_ALPHA, {
+    integer: false,
+  });
+  if (alpha >= 1) {
+    throw new RangeError(`--alpha must be between 0 and 1, got ${alpha}`);
+  }
+
+  let adaptive = null;
+  if (options.adaptive) {
+    const targetPct = numberOption(options, "target-ci", DEFAULT_TARGET_CI, {
+      integer: false,
+    });
+    const maxTime = numberOption(options, "max-time", DEFAULT_MAX_TIME, {
+      integer: false,
+    });
+    adaptive = {
+      targetCI: targetPct / 100,
+      maxIterations: numberOption(
+        options,
+        "max-iterations",
+        DEFAULT_MAX_ITERATIONS,
+      ),
+      maxTimeMs: maxTime * 1000,
+    };
+  }
+
+  const available = options["bench-dir"]
+    ? [
+      ...defaultBenchmarks,
+      ...loadPlugins(options["bench-dir"], defaultBenchmarks),
+    ]
+    : defaultBenchmarks;
+  const { selected } = filterBenchmarks(
+    only ? selectBenchmarks(available, only) : available,
+    {
+      filter: options.filter,
+      exclude: options.exclude,
+      category: options.category,
+      excludeCategory: options["exclude-category"],
+    },
+  );
+
+  return {
+    benchmarks: selected,
+    skipped: available
+      .filter((b) => !selected.includes(b))
+      .map((b) => b.name),
+    iterations: numberOption(options, "iterations", DEFAULT_ITERATIONS),
+    warmup: numberOption(options, "warmup", DEFAULT_WARMUP, {
+      allowZero: true,
+    }),
+    adaptive,
+    alpha,
+    excludeOutliers: Boolean(options["exclude-outliers"]),
+    timeoutMs:
+      numberOption(options, "timeout", DEFAULT_TIMEOUT_MS / 1000, {
+        integer: false,
+      }) * 1000,
+    resourceUsage: Boolean(options["resource-usage"]),
+    throughput: Boolean(options.throughput),
+    control: options.control ?? null,
+  };
+}
+
+// ─── Presets ──────────────────────────────────────────────────────────────────
+
+/** Script options for running presets (index.js only). */
+const PRESET_OPTIONS = {
+  preset: { type: "string" },
+  "list-presets": { type: "boolean" },
+};
+const PRESET_HELP = [
+  ["--preset <name>[:<run>]", "run a preset from presets/ (all runs or one)"],
+  ["--list-presets", "list the available presets and exit"],
+];
+
+function printPresetList() {
+  const presets = listPresets();
+  if (presets.length === 0) {
+    console.log(`No presets in ${PRESETS_DIR}`);
+    return;
+  }
+  for (const p of presets) {
+    console.log(`${p.name}${p.description ? ` — ${p.description}` : ""}`);
+    if (p.error) console.log(`  (invalid manifest: ${p.error})`);
+    for (const run of p.runs) {
+      const output = run.output ? ` -> ${run.output}` : "";
+      const name = run.name === null ? p.name : `${p.name}:${run.name}`;
+      console.log(`  ${name}: ${run.binaries.join(", ")}${output}`);
+    }
+  }
+}
+
+// Runs for --preset. Command-line options override the manifest's, except
+// that one report file can't serve several runs.
+function presetRuns(options, bins) {
+  if (bins.length > 0) {
+    throw new TypeError("--preset takes its binaries from the preset manifest");
+  }
+  const runs = loadPreset(options.preset);
+  const files = Object.keys(FILE_REPORTERS).filter((key) => options[key]);
+  if (runs.length > 1 && files.length > 0) {
+    throw new TypeError(
+      `--${files[0]} needs a single preset run, e.g. --preset ` +
+      runs[0].name,
+    );
+  }
+  return runs.map((run) => ({
+    ...run,
+    options: { ...run.options, ...options },
+  }));
+}
+
+// ─── Listing ──────────────────────────────────────────────────────────────────
+
+function printBenchmarkList({ name, compareOptions }) {
+  const { benchmarks, skipped } = compareOptions;
+  if (name) console.log(`${name}:`);
+  const width = Math.max(...benchmarks.map((b) => b.name.length));
+  for (const b of benchmarks) {
+    console.log(`  ${b.name.padEnd(width)}  ${b.category ?? "-"}`);
+  }
+  const note = skipped.length > 0 ? `, ${skipped.length} skipped` : "";
+  console.log(`${benchmarks.length} benchmark(s) selected${note}\n`);
+}
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+
+/** File-writing reporters, keyed by the option naming their output file. */
+const FILE_REPORTERS = {
+  output: textReporter,
+  json: jsonReporter,
+  markdown: markdownReporter,
+  csv: csvReporter,
+  html: htmlReporter,
+};
+
+// compare() with the console reporter plus a file reporter for each of
+// --output, --json, --markdown, --csv and --html given, and --store.
+async function runReported(bins, options, compareOptions) {
+  const files = Object.keys(FILE_REPORTERS).filter((key) => options[key]);
+  const reporters = [
+    consoleReporter(),
+    ...files.map((key) => FILE_REPORTERS[key](options[key])),
+  ];
+  if (options.store) reporters.push(storeReporter(options.store));
+  const doc = await compare({ binaries: bins, ...compareOptions, reporters });
+  for (const key of files) console.log(`Wrote ${options[key]} (--${key})`);
+  if (options.store) console.log(`Stored the run in ${options.store}`);
+  return doc;
+}
+
+/**
+ * Shared body of the CLI scripts: parse argv, run compare() through
+ * runReported() (the console reporter, a FILE_REPORTERS entry for each of
+ * --output, --json, --markdown, --csv and --html given, and a store reporter
+ * for --store), and return the parsed options with the results document.
+ * Prints usage and returns null on bad arguments; errors from compare()
+ * propagate. Callers should exit non-zero when doc.summary.failed is set
+ * (some runs crashed or timed out).
+ *
+ * With `spec.presets`, --preset runs every selected run of a preset manifest
+ * in turn (see presets.js); each gets its own document in `runs`, and `doc`
+ * is the last one. --list-presets and --list print the presets or the
+ * selected benchmarks and return no runs (doc null).
+ *
+ * @param {string[]} argv
+ * @param {object} spec
+ * @param {string} spec.synopsis - usage line after "node "
+ * @param {number} [spec.exactBins] - required binary count, if fixed
+ * @param {object} [spec.extraOptions] - parseArgs specs for script-only options
+ * @param {[string, string][]} [spec.extraHelp] - usage lines for those options
+ * @param {(options: object) => *} [spec.prepare] - validates script-only
+ *   options before anything runs; its return value is passed back as `extra`,
+ *   and a throw is reported like a usage error
+ * @param {boolean} [spec.presets] - accept --preset and --list-presets
+ * @returns {Promise<{ options: object, doc: object|null, extra: *,
+ *   runs: { name: string|null, doc: object }[] }|null>}
+ */
+async function runCli(
+  argv,
+  {
+    synopsis,
+    exactBins,
+    extraOptions = {},
+    extraHelp = [],
+    prepare,
+    presets = false,
+  },
+) {
+  const usage = formatUsage(
+    synopsis,
+    presets ? [...PRESET_HELP, ...extraHelp] : extraHelp,
+  );
+  let options, runs, extra;
+  try {
+    let bins;
+    ({ bins, options } = parseCliArgs(
+      argv,
+      presets ? { ...PRESET_OPTIONS, ...extraOptions } : extraOptions,
+    ));
+    if (options["list-presets"]) {
+      printPresetList();
+      return { options, doc: null, extra: null, runs: [] };
+    }
+    runs = options.preset
+      ? presetRuns(options, bins)
+      : [{ name: null, bins, options, benchmarks: null }];
+    for (const run of runs) {
+      run.compareOptions = resolveCompareOptions(run.options, {
+        only: run.benchmarks,
+      });
+    }
+    if (options.list) {
+      for (const run of runs) printBenchmarkList(run);
+      return { options, doc: null, extra: null, runs: [] };
+    }
+    if (prepare) extra = prepare(options);
+  } catch (err) {
+    console.error(`${err.message}\n${usage}`);
+    return null;
+  }
+  const badCount = (n) => n < 2 || (exactBins && n !== exactBins);
+  if (runs.some((run) => badCount(run.bins.length))) {
+    console.error(usage);
+    return null;
+  }
+
+  const docs = [];
+  for (const run of runs) {
+    if (run.name) console.log(`>>> Preset run ${run.name}\n`);
+    const doc = await runReported(run.bins, run.options, run.compareOptions);
+    docs.push({ name: run.name, doc });
+  }
+  return { options, doc: docs[docs.length - 1].doc, extra, runs: docs };
+}
+
+module.exports = {
+  formatUsage,
+  parseCliArgs,
+  resolveCompareOptions,
+  runCli,
+};
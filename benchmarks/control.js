@@ -0,0 +1,122 @@
+// control.js — A/A control runs (--control). The runner spawns a duplicate of
+// one binary as an extra, hidden target in every randomized round, so each
+// row also measures that binary against itself. The spread between the two
+// is the machine's noise for that row: its bootstrap CI bounds the smallest
+// difference the run can tell apart from noise (the minimum detectable
+// difference, MDD), and a winner that leads by less than that is downgraded
+// to ~Tie. The control column is removed before rows reach reporters.
+
+"use strict";
+
+const path = require("path");
+const {
+  median,
+  classifyOutliers,
+  getStatsOptions,
+  bootstrapMedianDiffCI,
+  summarize,
+  pickWinner,
+} = require("./helpers");
+
+/**
+ * Index of the binary to duplicate: by label, or by path as given on the
+ * command line. Throws a TypeError when no binary matches.
+ * @param {{ label: string, bin: string }[]} variants - resolved variants
+ * @param {string} control - label or binary path
+ * @returns {number}
+ */
+function findControl(variants, control) {
+  const byLabel = variants.findIndex((v) => v.label === control);
+  if (byLabel !== -1) return byLabel;
+  const byPath = variants.findIndex((v) => v.bin === path.resolve(control));
+  if (byPath !== -1) return byPath;
+  throw new TypeError(
+    `--control ${control} is none of the binaries (` +
+    variants.map((v) => v.label).join(", ") +
+    ")",
+  );
+}
+
+/** The hidden duplicate of a variant, spawned last in every round. */
+function controlVariant(variant) {
+  return { ...variant, label: `${variant.label} (control)` };
+}
+
+// A/A difference and MDD of one row, in percent of the original binary's
+// median, or null when the row has no samples to compare (e.g. binary size)
+// or the median is zero.
+function measureNoise(row, idx, controlIdx) {
+  const pair = [row.samples?.[idx], row.samples?.[controlIdx]];
+  if (pair.some((s) => !s || s.length < 2)) return null;
+  const [a, b] = getStatsOptions().excludeOutliers
+    ? pair.map((s) => classifyOutliers(s).kept)
+    : pair;
+  const base = Math.abs(median(a));
+  if (base === 0) return null;
+  const [lo, hi] = bootstrapMedianDiffCI(a, b);
+  return {
+    diff: ((median(b) - median(a)) / base) * 100,
+    mdd: (Math.max(Math.abs(lo), Math.abs(hi)) / base) * 100,
+    downgraded: null,
+  };
+}
+
+// Per-binary fields of a row, sliced when the control column is removed.
+const PER_BINARY_FIELDS = [
+  "values",
+  "fmts",
+  "stds",
+  "rawStds",
+  "samples",
+  "outliers",
+];
+
+/**
+ * Remove the control column (the last one) from a row built with it, and
+ * attach `noise`: { diff, mdd, downgraded } in percent, or null. The
+ * statistics that depend on which binaries are compared (p-values, CIs,
+ * winner) are recomputed without the control. When every binary is within
+ * the MDD of the best one, a winner becomes ~Tie and `downgraded` keeps its
+ * name.
+ *
+ * @param {BenchResult} row - with names.length + 1 columns
+ * @param {number} idx - column of the binary the control duplicates
+ * @param {string[]} names - binary names without the control
+ * @param {{ failed?: boolean }} [opts] - the control's runs failed, so the
+ *   row has no noise measurement
+ * @returns {BenchResult} the same row
+ */
+function splitControl(row, idx, names, { failed = false } = {}) {
+  const n = names.length;
+  const lowerIsBetter = row.lowerIsBetter !== false;
+  const noise = failed ? null : measureNoise(row, idx, n);
+  for (const key of PER_BINARY_FIELDS) {
+    if (Array.isArray(row[key])) row[key] = row[key].slice(0, n);
+  }
+  if (row.samples) {
+    const { pValues, diffCIs, winner } = summarize(
+      names,
+      row.samples,
+      lowerIsBetter,
+    );
+    Object.assign(row, { pValues, diffCIs, winner });
+  } else {
+    row.winner = pickWinner(names, row.values, lowerIsBetter);
+  }
+
+  const best = names.indexOf(row.winner);
+  if (noise && best !== -1 && row.values[best] !== 0) {
+    const top = row.values[best];
+    const gaps = row.values.map(
+      (v) => (Math.abs(v - top) / Math.abs(top)) * 100,
+    );
+    if (gaps.every((gap) => gap < noise.mdd)) {
+      noise.downgraded = row.winner;
+      row.winner = "~Tie";
+    }
+  }
+  row.noise = noise;
+  return row;
+}
+
+module.exports = { findControl, controlVariant, splitControl };
@@ -1,13 +1,16 @@
 // cpu.js — CPU-intensive benchmarks exercising compiled C++ internals.
 // Each exported function accepts a ctx object:
-//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
 
 "use strict";
 
-const { makeDurationResult } = require("./helpers");
+const {
+  collectSamples,
+  parseStdoutNumber,
+  makeTimedResult,
+} = require("./helpers");
 
 function benchBufferOps(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const start = performance.now();
@@ -19,19 +22,13 @@ function benchBufferOps(ctx) {
     }
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("Buffer ops (50k alloc+fill+hex)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "Buffer ops (50k alloc+fill+hex)", times, {
+    ops: 50000,
+  });
 }
 
 function benchJSON(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const obj = {};
@@ -41,20 +38,14 @@ function benchJSON(ctx) {
     for (let i = 0; i < 20000; i++) { JSON.parse(str); JSON.stringify(obj); }
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("JSON parse+stringify (20k iters)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "JSON parse+stringify (20k iters)", times, {
+    ops: 20000,
+  });
 }
 
 function benchURLParsing(ctx) {
   // Ada URL parser — pure compiled C++, no JIT involvement
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const urls = [
@@ -68,20 +59,14 @@ function benchURLParsing(ctx) {
     for (let i = 0; i < 50000; i++) new URL(urls[i % urls.length]);
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("URL parsing (50k, Ada C++)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "URL parsing (50k, Ada C++)", times, {
+    ops: 50000,
+  });
 }
 
 function benchZlib(ctx) {
   // zlib is a compiled C library wrapped in C++ bindings
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const zlib = require('zlib');
@@ -93,20 +78,14 @@ function benchZlib(ctx) {
     }
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("Zlib deflate+inflate 64KB (500x)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "Zlib deflate+inflate 64KB (500x)", times, {
+    bytes: 500 * 64 * 1024,
+  });
 }
 
 function benchTextCodec(ctx) {
   // TextEncoder/TextDecoder exercise compiled ICU + C++ string conversion
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const enc = new TextEncoder();
@@ -119,15 +98,10 @@ function benchTextCodec(ctx) {
     }
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("TextEncoder/Decoder (10k iters)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "TextEncoder/Decoder (10k iters)", times, {
+    ops: 10000,
+  });
 }
 
 module.exports = {
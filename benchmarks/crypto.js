@@ -0,0 +1,192 @@
+// crypto.js — Crypto benchmarks exercising the OpenSSL bindings, the largest
+// body of compiled C in Node and the most sensitive to compiler and PGO.
+// Each exported function accepts a ctx object:
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
+//
+// Benchmarks with several rows time each case in the same child and print
+// them as one JSON object of elapsed ms, so a round costs one process spawn.
+
+"use strict";
+
+const {
+  collectSamples,
+  parseStdoutNumber,
+  parseStdoutJSON,
+  makeTimedResult,
+} = require("./helpers");
+
+// Convergence metric for JSON samples: total time across all cases.
+function totalMs(timings) {
+  return Object.values(timings).reduce((a, b) => a + b, 0);
+}
+
+// Timings printed by a run, or undefined (a failed run) unless every case
+// has a finite number of ms.
+function parseTimings(r, keys) {
+  const timings = parseStdoutJSON(r);
+  const valid = timings && keys.every((key) => Number.isFinite(timings[key]));
+  return valid ? timings : undefined;
+}
+
+// Run `code` and return one timed row per case, in `cases` order:
+// { key: [row name, work] }.
+function timingRows(ctx, code, cases) {
+  const keys = Object.keys(cases);
+  const samples = collectSamples(
+    ctx,
+    ["-e", code],
+    (r) => parseTimings(r, keys),
+    totalMs,
+  );
+  return Object.entries(cases).map(([key, [name, work]]) =>
+    makeTimedResult(
+      ctx,
+      name,
+      samples.map((s) => s.map((t) => t[key])),
+      work,
+    ),
+  );
+}
+
+function benchHashing(ctx) {
+  // Small buffers measure per-call overhead, large ones raw digest speed.
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const out = {};
+    for (const algo of ['sha256', 'sha512']) {
+      for (const [size, count] of [[64, 65536], [16384, 4096], [1048576, 64]]) {
+        const buf = Buffer.alloc(size, 0x5a);
+        const start = performance.now();
+        for (let i = 0; i < count; i++) {
+          crypto.createHash(algo).update(buf).digest();
+        }
+        out[algo + '_' + size] = performance.now() - start;
+      }
+    }
+    console.log(JSON.stringify(out));
+  `;
+  return timingRows(ctx, code, {
+    sha256_64: ["SHA-256 64B (65536x)", { bytes: 64 * 65536 }],
+    sha256_16384: ["SHA-256 16KB (4096x)", { bytes: 16384 * 4096 }],
+    sha256_1048576: ["SHA-256 1MB (64x)", { bytes: 1048576 * 64 }],
+    sha512_64: ["SHA-512 64B (65536x)", { bytes: 64 * 65536 }],
+    sha512_16384: ["SHA-512 16KB (4096x)", { bytes: 16384 * 4096 }],
+    sha512_1048576: ["SHA-512 1MB (64x)", { bytes: 1048576 * 64 }],
+  });
+}
+
+function benchHMAC(ctx) {
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const key = crypto.randomBytes(32);
+    const msg = Buffer.alloc(1024, 0x5a);
+    const start = performance.now();
+    for (let i = 0; i < 50000; i++) {
+      crypto.createHmac('sha256', key).update(msg).digest();
+    }
+    console.log(performance.now() - start);
+  `;
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "HMAC-SHA256 1KB (50k)", times, {
+    bytes: 50000 * 1024,
+  });
+}
+
+function benchAESGCM(ctx) {
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(12);
+    const data = Buffer.alloc(16 * 1024, 0x5a);
+    const start = performance.now();
+    for (let i = 0; i < 2000; i++) {
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const enc = Buffer.concat([cipher.update(data), cipher.final()]);
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(cipher.getAuthTag());
+      Buffer.concat([decipher.update(enc), decipher.final()]);
+    }
+    console.log(performance.now() - start);
+  `;
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "AES-256-GCM enc+dec 16KB (2000x)", times, {
+    bytes: 2000 * 16 * 1024,
+  });
+}
+
+function benchKDF(ctx) {
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const salt = Buffer.alloc(16, 1);
+    let start = performance.now();
+    for (let i = 0; i < 40; i++) crypto.pbkdf2Sync('password', salt, 10000, 32, 'sha256');
+    const pbkdf2 = performance.now() - start;
+    start = performance.now();
+    for (let i = 0; i < 5; i++) crypto.scryptSync('password', salt, 32);
+    const scrypt = performance.now() - start;
+    console.log(JSON.stringify({ pbkdf2, scrypt }));
+  `;
+  return timingRows(ctx, code, {
+    pbkdf2: ["pbkdf2Sync SHA-256 10k rounds (40x)", { ops: 40 }],
+    scrypt: ["scryptSync N=16384 (5x)", { ops: 5 }],
+  });
+}
+
+function benchRandomBytes(ctx) {
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const start = performance.now();
+    for (let i = 0; i < 50000; i++) crypto.randomBytes(1024);
+    console.log(performance.now() - start);
+  `;
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "randomBytes 1KB (50k)", times, {
+    bytes: 50000 * 1024,
+  });
+}
+
+function benchSignatures(ctx) {
+  const code = `
+    const { performance } = require('perf_hooks');
+    const crypto = require('crypto');
+    const msg = Buffer.alloc(256, 0x5a);
+    const out = {};
+    const cases = [
+      ['ecdsa', 'ec', { namedCurve: 'P-256' }, 'sha256'],
+      ['ed25519', 'ed25519', {}, null],
+    ];
+    for (const [id, type, opts, digest] of cases) {
+      let start = performance.now();
+      for (let i = 0; i < 1000; i++) crypto.generateKeyPairSync(type, opts);
+      out[id + '_keygen'] = performance.now() - start;
+      const { privateKey, publicKey } = crypto.generateKeyPairSync(type, opts);
+      start = performance.now();
+      for (let i = 0; i < 1000; i++) {
+        const sig = crypto.sign(digest, msg, privateKey);
+        crypto.verify(digest, msg, publicKey, sig);
+      }
+      out[id + '_sign'] = performance.now() - start;
+    }
+    console.log(JSON.stringify(out));
+  `;
+  return timingRows(ctx, code, {
+    ecdsa_keygen: ["ECDSA P-256 keygen (1000x)", { ops: 1000 }],
+    ecdsa_sign: ["ECDSA P-256 sign+verify (1000x)", { ops: 1000 }],
+    ed25519_keygen: ["Ed25519 keygen (1000x)", { ops: 1000 }],
+    ed25519_sign: ["Ed25519 sign+verify (1000x)", { ops: 1000 }],
+  });
+}
+
+module.exports = {
+  benchHashing,
+  benchHMAC,
+  benchAESGCM,
+  benchKDF,
+  benchRandomBytes,
+  benchSignatures,
+};
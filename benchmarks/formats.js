@@ -0,0 +1,763 @@
+// formats.js — The results document rendered as GitHub-flavored Markdown (for
+// PR comments), CSV (one line per benchmark row and binary) and a
+// self-contained HTML page with a distribution chart per row, plus reporters
+// that write each one when a run completes. Trends (see trend.js) render to
+// Markdown and HTML too.
+
+"use strict";
+
+const fs = require("fs");
+const {
+  UNIT_FORMATTERS,
+  formatBytes,
+  formatPValue,
+  formatValueCell,
+  formatRelativeCell,
+  formatRuns,
+  pctDiff,
+} = require("./helpers");
+const {
+  describeIterations,
+  describeOutliers,
+  describeSkipped,
+  describeControl,
+  clipBuildValue,
+  medianMDD,
+  scoredCount,
+  formatRatioPct,
+  comparePair,
+} = require("./reporters");
+const { describeVariant } = require("./variants");
+const { diffBuildInfo } = require("./system");
+const {
+  PALETTE,
+  escapeXml,
+  distributionChart,
+  trendChart,
+} = require("./charts");
+const { trendSteps, describeStep } = require("./trend");
+
+// ─── Shared ───────────────────────────────────────────────────────────────────
+
+function title(binaries) {
+  return `Node.js Binary Benchmark: ${binaries.map((b) => b.name).join(" vs ")}`;
+}
+
+// [label, value] pairs of the report header, as in the console reporter.
+// Fields an imported text report didn't print (null) are left out.
+function hostFacts({ host, binaries, imported }) {
+  const facts = [
+    ["Platform", `${host.platform} ${host.arch}`],
+    ["CPUs", `${host.cpu} (${host.cores} cores)`],
+    ["RAM", host.ram === null ? null : formatBytes(host.ram)],
+    ["Date", host.date],
+    ["Binaries", String(binaries.length)],
+    [
+      "Iterations per benchmark",
+      host.warmup === null ? null : describeIterations(host),
+    ],
+    ["Alpha", host.alpha === null ? null : String(host.alpha)],
+    [
+      "Outliers",
+      host.excludeOutliers === null ? null : describeOutliers(host),
+    ],
+    [
+      "Timeout",
+      host.timeoutMs === null ? null : `${host.timeoutMs / 1000} s per run`,
+    ],
+  ];
+  if (host.control) facts.push(["Control", describeControl(host)]);
+  if (host.skipped?.length) {
+    facts.push(["Skipped", describeSkipped(host.skipped)]);
+  }
+  if (imported?.from) facts.push(["Imported from", imported.from]);
+  return facts.filter(([, value]) => value !== null);
+}
+
+// Column headers and text cells of the results table: Diff and p-value for
+// two binaries, distance from the best binary for more.
+function resultsTable({ binaries, results }) {
+  const names = binaries.map((b) => b.name);
+  const pairwise = names.length === 2;
+  const head = pairwise
+    ? ["Benchmark", ...names, "Diff", "p-value", "Runs", "Winner"]
+    : ["Benchmark", ...names, "Runs", "Winner"];
+  const rows = results.map((r) => {
+    const values = names.map((_, i) =>
+      pairwise ? formatValueCell(r, i) : formatRelativeCell(r, i),
+    );
+    const stats = [];
+    if (pairwise) {
+      const { diff, p } = comparePair(r);
+      stats.push(diff, formatPValue(p));
+    }
+    return {
+      r,
+      values,
+      cells: [r.name, ...values, ...stats, formatRuns(r), r.winner],
+    };
+  });
+  return { head, rows };
+}
+
+function winCountLine({ binaries, results, summary }) {
+  const { wins, ties, failed } = summary;
+  const counts = binaries.map((b, i) => `${b.name} ${wins[i]}`).join(", ");
+  const failedNote = failed ? `, ${failed} failed` : "";
+  return (
+    `${counts}, ${ties} ties${failedNote}` +
+    ` (out of ${scoredCount(results)} benchmarks)`
+  );
+}
+
+// Geomean cells ("-1.23% [-2.00%, -0.40%]") per group, one per non-reference
+// binary; empty when the document has no geomean.
+function geomeanTable({ summary }) {
+  const { geomean } = summary;
+  if (!geomean || geomean.groups[0].rows === 0) return [];
+  return geomean.groups.map((g) => ({
+    name: g.name,
+    rows: g.rows,
+    cells: g.ratios.slice(1).map((ratio, j) => {
+      const ci = g.cis[j + 1];
+      if (!ci) return formatRatioPct(ratio);
+      const [lo, hi] = ci.map(formatRatioPct);
+      return `${formatRatioPct(ratio)} [${lo}, ${hi}]`;
+    }),
+  }));
+}
+
+// A/A control section of a --control run: a title, the median MDD and one
+// line per row (with the row, so detail rows can be marked as in the results
+// table), or null for other runs.
+function noiseTable({ host, results }) {
+  if (!host.control) return null;
+  const confidence = ((1 - host.alpha) * 100).toFixed(0);
+  const mdd = medianMDD(results);
+  const downgraded = results.filter((r) => r.noise?.downgraded).length;
+  return {
+    title: `A/A control: ${host.control} vs a hidden copy of itself`,
+    note:
+      `MDD is the ${confidence}% bootstrap bound of the A/A median` +
+      ` difference; ${downgraded} winner(s) within it were downgraded to ~Tie` +
+      (mdd === null ? "." : ` (median MDD ±${mdd.toFixed(2)}%).`),
+    head: ["Benchmark", "A/A diff", "MDD", "Verdict"],
+    rows: results.map((r) => {
+      const { noise } = r;
+      return {
+        r,
+        cells: [
+          r.name,
+          noise ? `${noise.diff > 0 ? "+" : ""}${noise.diff.toFixed(2)}%` : "-",
+          noise ? `±${noise.mdd.toFixed(2)}%` : "-",
+          noise?.downgraded ? `~Tie (was ${noise.downgraded})` : "",
+        ],
+      };
+    }),
+  };
+}
+
+// Rows with failed runs, one entry per failing binary.
+function failureEntries({ binaries, results }) {
+  const entries = [];
+  for (const r of results) {
+    if (!r.failures) continue;
+    r.failures.forEach((f, i) => {
+      if (f.failed === 0) return;
+      const reasons = Object.entries(f.reasons)
+        .map(([reason, count]) => `${reason} x${count}`)
+        .join(", ");
+      entries.push({
+        name: r.name,
+        binary: binaries[i].name,
+        text: `${f.failed}/${f.runs} runs failed (${reasons})`,
+        stderr: f.stderr,
+      });
+    });
+  }
+  return entries;
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+// Text that GitHub would otherwise render as emphasis, code, links or HTML
+// (benchmark and binary names, failure reasons), escaped to show as written.
+function mdEscape(s) {
+  return String(s)
+    .replace(/[\\`*_~<>[\]|]/g, "\\$&")
+    .replace(/\n/g, " ");
+}
+
+// A table cell that is already Markdown, passed through by mdTable().
+const md = (markdown) => ({ markdown });
+const mdStrong = (s) => md(`**${mdEscape(s)}**`);
+const mdEm = (s) => md(`_${mdEscape(s)}_`);
+
+// Code span, for paths and build config; a longer fence when the text has
+// a backtick. Pipes still need escaping inside a table.
+function mdCode(s) {
+  const text = String(s).replace(/\n/g, " ").replace(/\|/g, "\\|");
+  return md(text.includes("`") ? `\`\` ${text} \`\`` : `\`${text}\``);
+}
+
+function mdTable(head, rows) {
+  const cell = (c) => (typeof c === "object" ? c.markdown : mdEscape(c));
+  const line = (cells) => `| ${cells.map(cell).join(" | ")} |`;
+  return [line(head), line(head.map(() => "---")), ...rows.map(line)];
+}
+
+/**
+ * GitHub-flavored Markdown report: results table with the winning value in
+ * bold and detail rows in italics, then win counts, geometric means, the
+ * A/A control table of a --control run and failures. Host and build details
+ * are folded into a <details> block so the report stays short as a PR
+ * comment.
+ * @param {object} doc - results document
+ * @returns {string}
+ */
+function renderMarkdown(doc) {
+  const { host, binaries, summary } = doc;
+  const names = binaries.map((b) => b.name);
+  const out = [`## ${mdEscape(title(binaries))}`, ""];
+
+  out.push("<details><summary>Host and binaries</summary>", "");
+  out.push(...mdTable(["", ""], hostFacts(doc)), "");
+  out.push(
+    ...mdTable(
+      ["Binary", "Path", "Node", "V8", "Flags/env"],
+      binaries.map((b) => [
+        b.name,
+        b.bin ? mdCode(b.bin) : "-",
+        b.version ?? "-",
+        b.v8 ?? "-",
+        describeVariant(b) || "-",
+      ]),
+    ),
+    "",
+  );
+  const { compared, total, diffs } = diffBuildInfo(binaries);
+  if (compared.length >= 2 && diffs.length > 0) {
+    out.push(`Build config differences (${diffs.length} of ${total} keys):`);
+    out.push(
+      "",
+      ...mdTable(
+        ["Key", ...compared],
+        diffs.map((d) => [
+          mdCode(d.key),
+          ...d.values.map((v) =>
+            v === null ? "-" : mdCode(clipBuildValue(v)),
+          ),
+        ]),
+      ),
+      "",
+    );
+  } else if (compared.length >= 2) {
+    out.push(`Build config: identical across binaries (${total} keys)`, "");
+  }
+  out.push("</details>", "");
+
+  const { head, rows } = resultsTable(doc);
+  out.push(
+    ...mdTable(
+      head,
+      rows.map(({ r, values, cells }) => {
+        const styled = [...cells];
+        const w = names.indexOf(r.winner);
+        if (w !== -1) styled[w + 1] = mdStrong(values[w]);
+        if (r.detail) styled[0] = mdEm(r.name);
+        return styled;
+      }),
+    ),
+    "",
+  );
+
+  out.push(`**Win count:** ${mdEscape(winCountLine(doc))}  `);
+  out.push(
+    "**Overall winner by weighted advantage:** " +
+    mdEscape(summary.overallWinner),
+  );
+  const geomean = geomeanTable(doc);
+  if (geomean.length > 0) {
+    const confidence = ((1 - host.alpha) * 100).toFixed(0);
+    out.push(
+      "",
+      `Geometric mean of ratios vs ${mdEscape(summary.geomean.reference)}` +
+      ` (${confidence}% bootstrap CI; negative = better):`,
+      "",
+      ...mdTable(
+        ["Category", "Rows", ...names.slice(1)],
+        geomean.map((g) => [g.name, String(g.rows), ...g.cells]),
+      ),
+    );
+  }
+  const noise = noiseTable(doc);
+  if (noise) {
+    out.push(
+      "",
+      `<details><summary>${escapeXml(noise.title)}</summary>`,
+      "",
+      noise.note,
+      "",
+      ...mdTable(
+        noise.head,
+        noise.rows.map(({ r, cells }) =>
+          r.detail ? [mdEm(r.name), ...cells.slice(1)] : cells,
+        ),
+      ),
+      "",
+      "</details>",
+    );
+  }
+  const failures = failureEntries(doc);
+  if (failures.length > 0) {
+    out.push("", "**Failures** (rows marked FAILED have no winner):", "");
+    for (const f of failures) {
+      out.push(
+        `- ${mdEscape(f.name)} — ${mdEscape(f.binary)}: ${mdEscape(f.text)}`,
+      );
+    }
+  }
+  return out.join("\n") + "\n";
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  "benchmark",
+  "category",
+  "detail",
+  "unit",
+  "lower_is_better",
+  "binary",
+  "median",
+  "stddev",
+  "p_value",
+  "ci_low",
+  "ci_high",
+  "samples",
+  "mild_outliers",
+  "severe_outliers",
+  "failed_runs",
+  "winner",
+];
+
+function csvField(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * CSV export with one line per benchmark row and binary. Medians and
+ * stddevs are raw numbers in the row's unit; p_value and the CI compare the
+ * binary with the row's best and are empty for the best binary itself and
+ * for rows with failed runs.
+ * @param {object} doc - results document
+ * @returns {string}
+ */
+function renderCSV({ binaries, results }) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const r of results) {
+    binaries.forEach((b, i) => {
+      // Failed rows have no significance (see the console's Failures list).
+      const compared = !r.failures;
+      const ci = compared ? r.diffCIs?.[i] : null;
+      lines.push(
+        [
+          r.name,
+          r.category,
+          Boolean(r.detail),
+          r.unit,
+          r.lowerIsBetter !== false,
+          b.name,
+          r.values[i],
+          r.rawStds?.[i],
+          compared ? r.pValues?.[i] : null,
+          ci?.[0],
+          ci?.[1],
+          r.samples?.[i].length,
+          r.outliers?.[i].mild,
+          r.outliers?.[i].severe,
+          r.failures?.[i].failed ?? 0,
+          r.winner,
+        ]
+          .map(csvField)
+          .join(","),
+      );
+    });
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+const HTML_STYLE = `
+  body { font-family: sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+  th { background: #f4f4f4; }
+  td.num { font-family: monospace; white-space: nowrap; }
+  tr.detail td:first-child { font-style: italic; padding-left: 1.5em; }
+  .best { font-weight: bold; }
+  .failed { color: #c00; }
+  .better { color: #080; }
+  .chart { margin: 1.5em 0; }
+  .chart h3 { font-size: 1em; margin: 0 0 0.3em; }
+  pre { background: #f8f8f8; padding: 0.5em; }
+`;
+
+function htmlTable(head, rows) {
+  const th = head.map((h) => `<th>${escapeXml(h)}</th>`).join("");
+  return `<table><thead><tr>${th}</tr></thead><tbody>${rows.join("")}</tbody></table>`;
+}
+
+function htmlPage(pageTitle, body) {
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(pageTitle)}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    ...body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+function htmlRow(cells, attrs = "") {
+  return `<tr${attrs}>${cells.map((c) => `<td>${escapeXml(c)}</td>`).join("")}</tr>`;
+}
+
+// Chart for a row, with a lane for each binary that has samples. Documents
+// without raw samples get none.
+function rowChart(r, names) {
+  const lanes = names
+    .map((name, i) => ({ name, samples: r.samples?.[i] ?? [] }))
+    .filter((l) => l.samples.length > 0);
+  if (lanes.length === 0) return "";
+  const format = UNIT_FORMATTERS[r.unit] ?? String;
+  return (
+    `<div class="chart"><h3>${escapeXml(r.name)}</h3>` +
+    distributionChart(
+      lanes.map((l) => l.name),
+      lanes.map((l) => l.samples),
+      format,
+    ) +
+    "</div>"
+  );
+}
+
+/**
+ * Self-contained HTML report (inline CSS and SVG, no external assets): the
+ * Markdown report's tables plus, for every row, a violin and box plot of each
+ * binary's raw samples on a shared axis.
+ * @param {object} doc - results document
+ * @returns {string}
+ */
+function renderHTML(doc) {
+  const { host, binaries, summary } = doc;
+  const names = binaries.map((b) => b.name);
+  const body = [`<h1>${escapeXml(title(binaries))}</h1>`];
+
+  body.push(
+    htmlTable(
+      ["", ""],
+      hostFacts(doc).map((f) => htmlRow(f)),
+    ),
+    htmlTable(
+      ["Binary", "Path", "Node", "V8", "Flags/env"],
+      binaries.map((b, i) =>
+        htmlRow(
+          [
+            b.name,
+            b.bin ?? "-",
+            b.version ?? "-",
+            b.v8 ?? "-",
+            describeVariant(b) || "-",
+          ],
+          ` style="color: ${PALETTE[i % PALETTE.length]}"`,
+        ),
+      ),
+    ),
+  );
+  const { compared, total, diffs } = diffBuildInfo(binaries);
+  if (compared.length >= 2 && diffs.length > 0) {
+    body.push(
+      `<h2>Build config differences (${diffs.length} of ${total} keys)</h2>`,
+      htmlTable(
+        ["Key", ...compared],
+        diffs.map((d) => htmlRow([d.key, ...d.values.map((v) => v ?? "-")])),
+      ),
+    );
+  }
+
+  const { head, rows } = resultsTable(doc);
+  body.push(
+    "<h2>Results</h2>",
+    htmlTable(
+      head,
+      rows.map(({ r, cells }) => {
+        const w = names.indexOf(r.winner);
+        const tds = cells.map((c, k) => {
+          const classes = [];
+          if (k > 0) classes.push("num");
+          if (w !== -1 && k === w + 1) classes.push("best");
+          if (c.startsWith("FAILED")) classes.push("failed");
+          const cls = classes.length ? ` class="${classes.join(" ")}"` : "";
+          return `<td${cls}>${escapeXml(c)}</td>`;
+        });
+        const cls = r.detail ? ' class="detail"' : "";
+        return `<tr${cls}>${tds.join("")}</tr>`;
+      }),
+    ),
+  );
+
+  body.push(
+    "<h2>Summary</h2>",
+    `<p>Win count: ${escapeXml(winCountLine(doc))}<br>` +
+    `Overall winner by weighted advantage: <b>${escapeXml(summary.overallWinner)}</b></p>`,
+  );
+  const geomean = geomeanTable(doc);
+  if (geomean.length > 0) {
+    const confidence = ((1 - host.alpha) * 100).toFixed(0);
+    body.push(
+      `<p>Geometric mean of ratios vs ${escapeXml(summary.geomean.reference)}` +
+      ` (${confidence}% bootstrap CI; negative = better):</p>`,
+      htmlTable(
+        ["Category", "Rows", ...names.slice(1)],
+        geomean.map((g) => htmlRow([g.name, String(g.rows), ...g.cells])),
+      ),
+    );
+  }
+  const noise = noiseTable(doc);
+  if (noise) {
+    body.push(
+      `<h2>${escapeXml(noise.title)}</h2>`,
+      `<p>${escapeXml(noise.note)}</p>`,
+      htmlTable(
+        noise.head,
+        noise.rows.map(({ r, cells }) =>
+          htmlRow(cells, r.detail ? ' class="detail"' : ""),
+        ),
+      ),
+    );
+  }
+  const failures = failureEntries(doc);
+  if (failures.length > 0) {
+    body.push("<h2>Failures</h2>");
+    for (const f of failures) {
+      body.push(
+        `<p class="failed">${escapeXml(f.name)} — ${escapeXml(f.binary)}:` +
+        ` ${escapeXml(f.text)}</p>`,
+      );
+      if (f.stderr) body.push(`<pre>${escapeXml(f.stderr)}</pre>`);
+    }
+  }
+
+  const charts = doc.results.map((r) => rowChart(r, names)).filter(Boolean);
+  if (charts.length > 0) {
+    body.push(
+      "<h2>Distributions</h2>",
+      "<p>Violin: kernel density of the raw samples. Box: quartiles and" +
+      " median; whiskers reach the furthest samples within 1.5×IQR, dots" +
+      " are outliers.</p>",
+      ...charts,
+    );
+  }
+
+  return htmlPage(title(binaries), body);
+}
+
+// ─── Trends ───────────────────────────────────────────────────────────────────
+
+const day = (date) => (date ?? "undated").slice(0, 10);
+
+function trendTitle({ label, reference }) {
+  return `Trend: ${label}${reference ? ` vs ${reference}` : ""}`;
+}
+
+function trendIntro({ runs, threshold, alpha }) {
+  const machines = [...new Set(runs.map((r) => r.host))].join("; ");
+  return (
+    `${runs.length} runs from ${day(runs[0]?.date)}` +
+    ` to ${day(runs[runs.length - 1]?.date)}` +
+    ` on ${machines}. A step is a change of at least ${threshold}% between` +
+    ` consecutive runs, significant at alpha ${alpha}.`
+  );
+}
+
+// Head and text cells of one series' table, oldest run first.
+function trendTable(trend, s) {
+  const head = ["Run", "Date", "Node", "V8", "Value", "Change"];
+  if (trend.reference) head.push(`vs ${trend.reference}`);
+  head.push("Step");
+  const rows = s.points.map((pt, k) => {
+    const run = trend.runs[pt.run];
+    const step = s.steps.find((x) => x.point === k);
+    const prev = s.points[k - 1];
+    const cells = [
+      `#${pt.run + 1}`,
+      day(run.date),
+      run.version ?? "-",
+      run.v8 ?? "-",
+      pt.std ? `${pt.fmt} ±${pt.std}` : pt.fmt,
+      prev ? pctDiff(prev.value, pt.value) : "-",
+    ];
+    if (trend.reference) cells.push(pt.relative ?? "-");
+    cells.push(step ? describeStep(step) : "");
+    return { step, cells };
+  });
+  return { head, rows };
+}
+
+function stepCount(steps) {
+  const better = steps.filter((s) => s.better).length;
+  return `${steps.length} (${better} better, ${steps.length - better} worse)`;
+}
+
+/**
+ * Markdown trend report: the step changes first, then one collapsed table
+ * per series (runs, value, change from the previous run and vs reference).
+ * @param {object} trend - from trend.buildTrend()
+ * @returns {string}
+ */
+function renderTrendMarkdown(trend) {
+  const out = [`## ${mdEscape(trendTitle(trend))}`, "", trendIntro(trend), ""];
+  const steps = trendSteps(trend);
+  out.push(`**Step changes:** ${stepCount(steps)}`);
+  if (steps.length > 0) out.push("");
+  for (const step of steps) {
+    out.push(
+      `- ${mdEscape(step.name)}: ${day(step.from.date)}` +
+      ` → ${day(step.to.date)} ${describeStep(step)}`,
+    );
+  }
+  for (const s of trend.series) {
+    const latest = s.points[s.points.length - 1];
+    const marks = s.steps.length ? `, ${s.steps.length} step(s)` : "";
+    out.push(
+      "",
+      `<details><summary>${escapeXml(`${s.name} — ${latest.fmt}${marks}`)}` +
+      "</summary>",
+      "",
+    );
+    const { head, rows } = trendTable(trend, s);
+    out.push(
+      ...mdTable(
+        head,
+        rows.map(({ step, cells }) =>
+          step ? cells.map((c) => (c ? mdStrong(c) : c)) : cells,
+        ),
+      ),
+      "",
+      "</details>",
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Self-contained HTML trend report: the step changes, then a line chart of
+ * the medians (±stddev) and a table for every series.
+ * @param {object} trend - from trend.buildTrend()
+ * @returns {string}
+ */
+function renderTrendHTML(trend) {
+  const body = [
+    `<h1>${escapeXml(trendTitle(trend))}</h1>`,
+    `<p>${escapeXml(trendIntro(trend))}</p>`,
+    htmlTable(
+      ["Run", "Date", "Node", "V8", "Machine", "File"],
+      trend.runs.map((run, k) =>
+        htmlRow([
+          `#${k + 1}`,
+          run.date ?? "undated",
+          run.version ?? "-",
+          run.v8 ?? "-",
+          run.machine,
+          run.file,
+        ]),
+      ),
+    ),
+  ];
+  const steps = trendSteps(trend);
+  body.push(`<h2>Step changes: ${escapeXml(stepCount(steps))}</h2>`);
+  if (steps.length > 0) {
+    const items = steps.map(
+      (step) =>
+        `<li class="${step.better ? "better" : "failed"}">` +
+        escapeXml(
+          `${step.name}: ${day(step.from.date)} → ${day(step.to.date)}` +
+          ` ${describeStep(step)}`,
+        ) +
+        "</li>",
+    );
+    body.push(`<ul>${items.join("")}</ul>`);
+  }
+
+  for (const s of trend.series) {
+    const format = UNIT_FORMATTERS[s.unit] ?? String;
+    const points = s.points.map((pt, k) => {
+      const step = s.steps.find((x) => x.point === k);
+      return {
+        label: day(trend.runs[pt.run].date),
+        value: pt.value,
+        std: pt.rawStd,
+        step: step ? (step.better ? "better" : "worse") : null,
+      };
+    });
+    const { head, rows } = trendTable(trend, s);
+    body.push(
+      `<div class="chart"><h3>${escapeXml(s.name)}</h3>`,
+      trendChart(points, format),
+      htmlTable(
+        head,
+        rows.map(({ step, cells }) =>
+          htmlRow(cells, step ? ' class="best"' : ""),
+        ),
+      ),
+      "</div>",
+    );
+  }
+  return htmlPage(trendTitle(trend), body);
+}
+
+// ─── Reporters ────────────────────────────────────────────────────────────────
+
+function fileReporter(file, render) {
+  return {
+    onComplete(doc) {
+      fs.writeFileSync(file, render(doc));
+    },
+  };
+}
+
+/** Write the Markdown report (renderMarkdown) to `file`. */
+function markdownReporter(file) {
+  return fileReporter(file, renderMarkdown);
+}
+
+/** Write the CSV export (renderCSV) to `file`. */
+function csvReporter(file) {
+  return fileReporter(file, renderCSV);
+}
+
+/** Write the HTML report with distribution charts (renderHTML) to `file`. */
+function htmlReporter(file) {
+  return fileReporter(file, renderHTML);
+}
+
+module.exports = {
+  renderMarkdown,
+  renderCSV,
+  renderHTML,
+  renderTrendMarkdown,
+  renderTrendHTML,
+  markdownReporter,
+  csvReporter,
+  htmlReporter,
+};
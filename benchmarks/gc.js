@@ -0,0 +1,118 @@
+// gc.js — Garbage collector benchmark. V8's heap code is hot, compiled C++
+// and among the most sensitive to PGO and compiler choice.
+// Each exported function accepts a ctx object:
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
+
+"use strict";
+
+const {
+  collectSamples,
+  parseStdoutJSON,
+  makeBytesResult,
+  makeCountResult,
+  makeDurationResult,
+} = require("./helpers");
+
+/** GC kinds reported, keyed as in the child's output. */
+const GC_KINDS = [
+  { key: "scavenge", label: "scavenge" },
+  { key: "markSweep", label: "mark-sweep-compact" },
+  { key: "incremental", label: "incremental marking" },
+];
+
+function benchGC(ctx) {
+  const { NAMES } = ctx;
+  // A short-lived churn phase (scavenges) then rebuilding a large retained
+  // array (promotion and full GCs). gc entries are delivered asynchronously,
+  // so the report waits one timer turn after the workload.
+  const code = `
+    const { PerformanceObserver, performance, constants } = require('perf_hooks');
+    const v8 = require('v8');
+    const kinds = {
+      [constants.NODE_PERFORMANCE_GC_MINOR]: 'scavenge',
+      [constants.NODE_PERFORMANCE_GC_MAJOR]: 'markSweep',
+      [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+    };
+    const gc = {};
+    for (const k of Object.values(kinds)) gc[k] = { time: 0, count: 0, max: 0 };
+    const obs = new PerformanceObserver((list) => {
+      for (const e of list.getEntries()) {
+        const g = gc[kinds[e.detail ? e.detail.kind : e.kind]];
+        if (!g) continue;
+        g.time += e.duration;
+        g.count++;
+        g.max = Math.max(g.max, e.duration);
+      }
+    });
+    obs.observe({ entryTypes: ['gc'] });
+
+    const start = performance.now();
+    let young = [];
+    for (let i = 0; i < 2e6; i++) {
+      const o = { i, s: 'x' + i, a: [i, i + 1] };
+      if (i % 10 === 0) young.push(o);
+      if (young.length > 100000) young = [];
+    }
+    const old = [];
+    for (let r = 0; r < 5; r++) {
+      old.length = 0;
+      for (let i = 0; i < 300000; i++) old.push({ r, i, d: new Array(4).fill(i) });
+    }
+    const elapsed = performance.now() - start;
+    const spaces = {};
+    for (const s of v8.getHeapSpaceStatistics()) spaces[s.space_name] = s.space_used_size;
+
+    setTimeout(() => {
+      obs.disconnect();
+      console.log(JSON.stringify({ elapsed, gc, spaces }));
+    }, 10);
+  `;
+  const runs = collectSamples(
+    ctx,
+    ["-e", code],
+    parseStdoutJSON,
+    (r) => r.elapsed,
+  );
+  const pick = (get) => runs.map((rs) => rs.map(get));
+
+  const rows = [
+    makeDurationResult(
+      "GC workload (2M churn + 5x300k retained)",
+      NAMES,
+      pick((r) => r.elapsed),
+    ),
+  ];
+  for (const { key, label } of GC_KINDS) {
+    const counts = pick((r) => r.gc[key].count);
+    if (counts.every((c) => c.every((n) => n === 0))) continue;
+    rows.push(
+      makeDurationResult(
+        `GC ${label}: total pause`,
+        NAMES,
+        pick((r) => r.gc[key].time),
+      ),
+      makeDurationResult(
+        `GC ${label}: max pause`,
+        NAMES,
+        pick((r) => r.gc[key].max),
+      ),
+      { ...makeCountResult(`GC ${label}: count`, NAMES, counts), detail: true },
+    );
+  }
+
+  // Space names vary across V8 versions; report those any binary uses.
+  const spaceNames = [
+    ...new Set(runs.flat().flatMap((r) => Object.keys(r.spaces))),
+  ];
+  for (const space of spaceNames) {
+    const used = pick((r) => r.spaces[space] ?? 0);
+    if (used.every((s) => s.every((v) => v === 0))) continue;
+    rows.push({
+      ...makeBytesResult(`GC heap: ${space} used`, NAMES, used),
+      detail: true,
+    });
+  }
+  return rows;
+}
+
+module.exports = { benchGC };
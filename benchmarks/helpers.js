@@ -3,6 +3,25 @@
 
 "use strict";
 
+// ─── Settings ─────────────────────────────────────────────────────────────────
+
+const DEFAULT_ALPHA = 0.05;
+
+/** Tunable statistics settings. Runners override these via configureStats(). */
+const statsOptions = {
+  alpha: DEFAULT_ALPHA, // significance level for winner selection and CI width
+  bootstrapResamples: 2000,
+  excludeOutliers: false, // drop mild+severe outliers before computing stats
+};
+
+function configureStats(opts) {
+  Object.assign(statsOptions, opts);
+}
+
+function getStatsOptions() {
+  return { ...statsOptions };
+}
+
 // ─── Statistics ───────────────────────────────────────────────────────────────
 
 function median(arr) {
@@ -22,26 +41,482 @@ function stddev(arr) {
   );
 }
 
+// Linear-interpolated quantile of an ascending-sorted array.
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// ─── Outliers ─────────────────────────────────────────────────────────────────
+
+/** Fraction of outlying samples above which a row is flagged as noisy. */
+const NOISY_OUTLIER_RATE = 0.1;
+
+/**
+ * Classify samples with Tukey's fences: beyond 1.5×IQR from the quartiles is
+ * a mild outlier, beyond 3×IQR a severe one. Quantized data with a zero IQR
+ * (e.g. heap sizes) would flag every deviation, so it is left unclassified.
+ * @param {number[]} arr
+ * @returns {{ mild: number, severe: number, kept: number[] }} kept = non-outliers
+ */
+function classifyOutliers(arr) {
+  if (arr.length < 4) return { mild: 0, severe: 0, kept: [...arr] };
+  const sorted = [...arr].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  if (iqr === 0) return { mild: 0, severe: 0, kept: [...arr] };
+  let mild = 0;
+  let severe = 0;
+  const kept = [];
+  for (const v of arr) {
+    if (v < q1 - 3 * iqr || v > q3 + 3 * iqr) severe++;
+    else if (v < q1 - 1.5 * iqr || v > q3 + 1.5 * iqr) mild++;
+    else kept.push(v);
+  }
+  return { mild, severe, kept };
+}
+
+/**
+ * Warning lines for rows where any binary's outlier rate exceeds
+ * NOISY_OUTLIER_RATE — a sign the machine was busy during the run.
+ * @param {BenchResult[]} results
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function noisyOutlierWarnings(results, names) {
+  const warnings = [];
+  for (const r of results) {
+    if (!r.outliers) continue;
+    r.outliers.forEach(({ mild, severe }, i) => {
+      const n = r.samples[i].length;
+      const rate = n > 0 ? (mild + severe) / n : 0;
+      if (rate > NOISY_OUTLIER_RATE) {
+        warnings.push(
+          `Warning: ${r.name} — ${(rate * 100).toFixed(0)}% of ${names[i]} samples` +
+          ` were outliers (${mild} mild, ${severe} severe); the machine may have been noisy.`,
+        );
+      }
+    });
+  }
+  return warnings;
+}
+
+// ─── Significance testing ─────────────────────────────────────────────────────
+
+// Standard normal CDF via the Abramowitz & Stegun 7.1.26 erf approximation
+// (absolute error < 1.5e-7, plenty for a p-value).
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided Mann-Whitney U test (normal approximation with tie and
+ * continuity correction). Makes no assumption about the shape of the
+ * distributions, so skewed timing samples are handled correctly.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {{ u: number, p: number }}
+ */
+function mannWhitneyU(a, b) {
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const all = [...a.map((v) => [v, 0]), ...b.map((v) => [v, 1])].sort(
+    (x, y) => x[0] - y[0],
+  );
+
+  // Rank sum of `a`, assigning tied values their average rank.
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < n; ) {
+    let j = i;
+    while (j + 1 < n && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j + 2) / 2;
+    const t = j - i + 1;
+    tieTerm += t ** 3 - t;
+    for (let k = i; k <= j; k++) if (all[k][1] === 0) rankSumA += rank;
+    i = j + 1;
+  }
+
+  const uA = rankSumA - (n1 * (n1 + 1)) / 2;
+  const u = Math.min(uA, n1 * n2 - uA);
+  const sigma = Math.sqrt(
+    ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1))),
+  );
+  if (sigma === 0) return { u, p: 1 };
+  const z = Math.max(0, Math.abs(uA - (n1 * n2) / 2) - 0.5) / sigma;
+  return { u, p: Math.min(1, 2 * (1 - normalCdf(z))) };
+}
+
+function resample(arr) {
+  return Array.from(
+    { length: arr.length },
+    () => arr[Math.floor(Math.random() * arr.length)],
+  );
+}
+
+/**
+ * Percentile bootstrap confidence interval for median(b) - median(a).
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} [alpha] - interval covers 1 - alpha
+ * @returns {[number, number]}
+ */
+function bootstrapMedianDiffCI(a, b, alpha = statsOptions.alpha) {
+  const count = statsOptions.bootstrapResamples;
+  const diffs = Array.from(
+    { length: count },
+    () => median(resample(b)) - median(resample(a)),
+  ).sort((x, y) => x - y);
+  const lo = diffs[Math.floor((alpha / 2) * count)];
+  const hi = diffs[Math.ceil((1 - alpha / 2) * count) - 1];
+  return [lo, hi];
+}
+
+/**
+ * Percentile bootstrap confidence interval for the median of one sample.
+ * @param {number[]} arr
+ * @param {number} [alpha] - interval covers 1 - alpha
+ * @param {number} [count] - number of resamples
+ * @returns {[number, number]}
+ */
+function bootstrapMedianCI(
+  arr,
+  alpha = statsOptions.alpha,
+  count = statsOptions.bootstrapResamples,
+) {
+  const medians = Array.from({ length: count }, () =>
+    median(resample(arr)),
+  ).sort((x, y) => x - y);
+  return [
+    medians[Math.floor((alpha / 2) * count)],
+    medians[Math.ceil((1 - alpha / 2) * count) - 1],
+  ];
+}
+
+/**
+ * Compare every binary's samples against the best binary's samples.
+ * Entry i is null for the best binary itself, or everywhere when any binary
+ * has fewer than two samples (a rank test needs a distribution).
+ *
+ * @param {number[]} values - per-binary medians
+ * @param {number[][]} samples - per-binary raw samples
+ * @param {boolean} lowerIsBetter
+ * @returns {{ pValues: (number|null)[], diffCIs: ([number, number]|null)[] }}
+ *   diffCIs[i] bounds median(samples[i]) - median(samples[best])
+ */
+function compareToBest(values, samples, lowerIsBetter = true) {
+  const bestIdx = bestIndex(values, lowerIsBetter);
+  const testable = samples.every((s) => s.length >= 2);
+  const pValues = samples.map((s, i) =>
+    testable && i !== bestIdx ? mannWhitneyU(samples[bestIdx], s).p : null,
+  );
+  const diffCIs = samples.map((s, i) =>
+    testable && i !== bestIdx
+      ? bootstrapMedianDiffCI(samples[bestIdx], s)
+      : null,
+  );
+  return { pValues, diffCIs };
+}
+
+// ─── Failures ─────────────────────────────────────────────────────────────────
+
+const STDERR_EXCERPT_LINES = 3;
+const STDERR_EXCERPT_CHARS = 300;
+
+/**
+ * Per-binary failure tally for one benchmark. The runner puts a fresh one on
+ * ctx.failures before each benchmark; collectSamples() fills it in.
+ * @returns {{ runs: number, failed: number,
+ *   reasons: { [reason: string]: number }, stderr: string }[]}
+ */
+function createFailureTally(n) {
+  return Array.from({ length: n }, () => ({
+    runs: 0,
+    failed: 0,
+    reasons: {},
+    stderr: "",
+  }));
+}
+
+// Last few non-empty stderr lines, which is where crash messages end up.
+function stderrExcerpt(stderr) {
+  const lines = stderr.split(/\r?\n/).filter((l) => l.trim());
+  const tail = lines.slice(-STDERR_EXCERPT_LINES).join("\n");
+  return tail.length > STDERR_EXCERPT_CHARS
+    ? "..." + tail.slice(-STDERR_EXCERPT_CHARS)
+    : tail;
+}
+
+/** Count one run of binary `idx`; `reason` is null for a good run. */
+function recordRun(tally, idx, reason, r) {
+  if (!tally) return;
+  const t = tally[idx];
+  t.runs++;
+  if (!reason) return;
+  t.failed++;
+  t.reasons[reason] = (t.reasons[reason] || 0) + 1;
+  if (!t.stderr) t.stderr = stderrExcerpt(r.stderr);
+}
+
+function hasFailures(tally) {
+  return Boolean(tally) && tally.some((t) => t.failed > 0);
+}
+
+/**
+ * Attach a benchmark's failure tally to one of its result rows. A row where
+ * any binary failed has no winner: its samples are incomplete, and a binary
+ * that crashes must never win by having fewer slow samples.
+ */
+function applyFailures(result, tally) {
+  if (!hasFailures(tally)) return result;
+  result.failures = tally.map((t) => ({ ...t, reasons: { ...t.reasons } }));
+  result.winner = "FAILED";
+  return result;
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+
+// Adaptive mode never stops before this many rounds, and only re-checks
+// convergence every few rounds since each check runs a bootstrap.
+const MIN_ADAPTIVE_ITERATIONS = 10;
+const ADAPTIVE_CHECK_EVERY = 5;
+const ADAPTIVE_RESAMPLES = 500;
+
+// True when every binary's median CI is narrower than `targetCI` (relative).
+function hasConverged(samples, targetCI) {
+  return samples.every((s) => {
+    if (s.length < 2) return false;
+    const m = median(s);
+    const [lo, hi] = bootstrapMedianCI(s, statsOptions.alpha, ADAPTIVE_RESAMPLES);
+    return m !== 0 && (hi - lo) / Math.abs(m) <= targetCI;
+  });
+}
+
+/**
+ * Run the warmup rounds, then measured rounds of `runAll(binArgs)`, and
+ * collect one sample per binary per round. With ctx.ADAPTIVE set, measured
+ * rounds continue until every binary's median CI is narrower than the target
+ * relative width, or the iteration/time budget runs out; otherwise exactly
+ * ctx.ITERATIONS rounds are run.
+ *
+ * @param {object} ctx - benchmark context
+ * @param {string[]} binArgs - arguments passed to every binary
+ * @param {(r: object) => *} [parse] - sample from a run result; undefined or
+ *   NaN drops the sample and counts the run as failed (as do runs that
+ *   crashed or timed out). Defaults to the parent-measured wall-clock time.
+ *   Measured runs that produced a sample also add their resourceUsage()
+ *   report to ctx.usage when it is being collected.
+ * @param {(sample: *) => number} [metric] - number used for the convergence
+ *   check when samples are objects (e.g. memoryUsage snapshots)
+ * @returns {Array[]} outer index = binary, inner = samples
+ */
+function collectSamples(
+  ctx,
+  binArgs,
+  parse = (r) => r.durationMs,
+  metric = (sample) => sample,
+) {
+  const { runAll, N, WARMUP, ITERATIONS, ADAPTIVE, failures, usage } = ctx;
+  const samples = Array.from({ length: N }, () => []);
+  const run = (measured) => {
+    runAll(binArgs).forEach((r, idx) => {
+      if (r.failure) {
+        recordRun(failures, idx, r.failure, r);
+        return;
+      }
+      const sample = parse(r);
+      const valid = sample !== undefined && !Number.isNaN(sample);
+      recordRun(failures, idx, valid ? null : "bad output", r);
+      if (!valid || !measured) return;
+      samples[idx].push(sample);
+      if (usage && r.resourceUsage) usage[idx].push(r.resourceUsage);
+    });
+  };
+  const round = () => run(true);
+
+  for (let i = 0; i < WARMUP; i++) run(false);
+  if (!ADAPTIVE) {
+    for (let i = 0; i < ITERATIONS; i++) round();
+    return samples;
+  }
+
+  const deadline = Date.now() + ADAPTIVE.maxTimeMs;
+  for (let i = 1; i <= ADAPTIVE.maxIterations; i++) {
+    round();
+    // Two rounds minimum so a stddev exists even when one round eats the budget.
+    if (i >= 2 && Date.now() >= deadline) break;
+    // The row is reported as FAILED anyway; don't sample to the cap.
+    if (i >= 2 && hasFailures(failures)) break;
+    if (
+      i >= MIN_ADAPTIVE_ITERATIONS &&
+      i % ADAPTIVE_CHECK_EVERY === 0 &&
+      hasConverged(
+        samples.map((s) => s.map(metric)),
+        ADAPTIVE.targetCI,
+      )
+    )
+      break;
+  }
+  return samples;
+}
+
+/** Parse a child's stdout as a single number (ms printed by the child). */
+function parseStdoutNumber(r) {
+  return parseFloat(r.stdout.trim());
+}
+
+/** Parse a child's stdout as JSON, or undefined when it isn't valid JSON. */
+function parseStdoutJSON(r) {
+  try {
+    return JSON.parse(r.stdout.trim());
+  } catch {
+    return undefined;
+  }
+}
+
 // ─── Formatters ───────────────────────────────────────────────────────────────
 
 function formatBytes(bytes) {
   if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(2) + " MB";
   if (bytes >= 1024) return (bytes / 1024).toFixed(2) + " KB";
-  return bytes + " B";
+  // Medians and stddevs of byte counts can be fractional.
+  return Math.round(bytes) + " B";
 }
 
 function formatMs(ms) {
   return ms.toFixed(2) + " ms";
 }
 
+/** Plain event count (page faults, context switches); medians may be x.5. */
+function formatCount(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
+/** Operations per second, e.g. "12.35k ops/s". */
+function formatOpsRate(v) {
+  if (v >= 1e6) return (v / 1e6).toFixed(2) + "M ops/s";
+  if (v >= 1e3) return (v / 1e3).toFixed(2) + "k ops/s";
+  return v.toFixed(1) + " ops/s";
+}
+
+/** Bytes per second, e.g. "123.45 MB/s". */
+function formatByteRate(v) {
+  return formatBytes(v) + "/s";
+}
+
+/** Formatter for each BenchResult unit. */
+const UNIT_FORMATTERS = {
+  ms: formatMs,
+  bytes: formatBytes,
+  count: formatCount,
+  "ops/s": formatOpsRate,
+  "B/s": formatByteRate,
+};
+
 function pctDiff(a, b) {
   const diff = ((b - a) / a) * 100;
   const sign = diff > 0 ? "+" : "";
   return sign + diff.toFixed(2) + "%";
 }
 
+function formatPValue(p) {
+  if (p === null || p === undefined) return "-";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+/** Format a signed difference in the given result unit ("ms" or "bytes"). */
+function formatSigned(v, unit) {
+  const sign = v > 0 ? "+" : v < 0 ? "-" : "";
+  const abs = Math.abs(v);
+  return sign + UNIT_FORMATTERS[unit](abs);
+}
+
+function formatCI(ci, unit) {
+  if (!ci) return "-";
+  return `[${formatSigned(ci[0], unit)}, ${formatSigned(ci[1], unit)}]`;
+}
+
+/**
+ * Table cell for binary `i` of a result: "median ±stddev [mild/severe]".
+ * The outlier suffix only appears when that binary had any. A binary with
+ * failed runs gets "FAILED failed/runs (first reason)" instead.
+ */
+function formatValueCell(r, i) {
+  const f = r.failures && r.failures[i];
+  if (f && f.failed > 0) {
+    return `FAILED ${f.failed}/${f.runs} (${Object.keys(f.reasons)[0]})`;
+  }
+  let cell = r.stds ? `${r.fmts[i]} ±${r.stds[i]}` : r.fmts[i];
+  const o = r.outliers && r.outliers[i];
+  if (o && o.mild + o.severe > 0) cell += ` [${o.mild}/${o.severe}]`;
+  return cell;
+}
+
+/**
+ * formatValueCell() plus the distance from the row's best binary, e.g.
+ * "12.00 ms ±0.50 ms (+4.35%)"; negative for higher-is-better rows. The best
+ * binary, binaries equal to it and failed rows get the plain cell.
+ */
+function formatRelativeCell(r, i) {
+  const cell = formatValueCell(r, i);
+  const bestIdx = bestIndex(r.values, r.lowerIsBetter);
+  if (r.failures || i === bestIdx || r.values[i] === r.values[bestIdx]) {
+    return cell;
+  }
+  const best = r.values[bestIdx];
+  const pct = best > 0 ? ((r.values[i] - best) / best) * 100 : 0;
+  return `${cell} (${pct >= 0 ? "+" : ""}${pct.toFixed(2)}%)`;
+}
+
+/**
+ * Benchmark cell of a result row in the console tables. Detail rows (see
+ * results.computeSummary) are indented and marked, e.g. "  · GC scavenge:
+ * count", so a saved report shows which rows the win count leaves out.
+ */
+function formatRowName(r) {
+  return r.detail ? `  · ${r.name}` : r.name;
+}
+
+/** Sample count per binary for a result row, e.g. "30" or "42/41". */
+function formatRuns(r) {
+  if (!r.samples) return "-";
+  return [...new Set(r.samples.map((s) => s.length))].join("/");
+}
+
+/** Legend printed under each table that uses formatValueCell(). */
+function outlierLegend() {
+  return (
+    "[m/s] = mild/severe outliers (Tukey fences at 1.5x/3x IQR)" +
+    (statsOptions.excludeOutliers ? ", excluded from the statistics." : ".")
+  );
+}
+
 // ─── Winner selection ─────────────────────────────────────────────────────────
 
+function bestIndex(values, lowerIsBetter = true) {
+  let bestIdx = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (
+      lowerIsBetter ? values[i] < values[bestIdx] : values[i] > values[bestIdx]
+    )
+      bestIdx = i;
+  }
+  return bestIdx;
+}
+
 /**
  * Pick the winning binary name from an array of values.
  * Returns a name from `names`, or '~Tie' (statistically indistinguishable),
@@ -51,15 +526,17 @@ function pctDiff(a, b) {
  * @param {number[]} values - one measurement per binary
  * @param {boolean} lowerIsBetter
  * @param {number[]|null} rawStds - per-binary stddev; enables statistical tie detection
+ * @param {(number|null)[]|null} pValues - per-binary p-value vs the best, from
+ *   compareToBest(); when given, replaces the stddev-overlap heuristic
  */
-function pickWinner(names, values, lowerIsBetter = true, rawStds = null) {
-  let bestIdx = 0;
-  for (let i = 1; i < values.length; i++) {
-    if (
-      lowerIsBetter ? values[i] < values[bestIdx] : values[i] > values[bestIdx]
-    )
-      bestIdx = i;
-  }
+function pickWinner(
+  names,
+  values,
+  lowerIsBetter = true,
+  rawStds = null,
+  pValues = null,
+) {
+  const bestIdx = bestIndex(values, lowerIsBetter);
   if (values.every((v) => v === values[bestIdx])) return "Tie";
   if (rawStds) {
     const best = values[bestIdx];
@@ -74,7 +551,11 @@ function pickWinner(names, values, lowerIsBetter = true, rawStds = null) {
       // larger value as a minimum noise floor so V8 rounding artefacts
       // (a few bytes, a few µs) don't produce false winners.
       const floor = noise === 0 ? Math.max(values[i], best) * 0.005 : 0;
-      if (diff > noise + floor) {
+      const distinct =
+        pValues && pValues[i] !== null
+          ? pValues[i] < statsOptions.alpha && diff > floor
+          : diff > noise + floor;
+      if (distinct) {
         allOverlap = false;
         break;
       }
@@ -86,25 +567,59 @@ function pickWinner(names, values, lowerIsBetter = true, rawStds = null) {
 
 // ─── Result builders ──────────────────────────────────────────────────────────
 
+// Shared body of the result builders: summary statistics, significance vs
+// the best binary, and outlier counts. `samples` is kept raw in the result
+// even when outliers are excluded from the statistics.
+function summarize(names, samples, lowerIsBetter) {
+  const outliers = samples.map(classifyOutliers);
+  const used = statsOptions.excludeOutliers
+    ? outliers.map((o) => o.kept)
+    : samples;
+  const values = used.map((s) => median(s));
+  const rawStds = used.map((s) => stddev(s));
+  const { pValues, diffCIs } = compareToBest(values, used, lowerIsBetter);
+  return {
+    values,
+    rawStds,
+    pValues,
+    diffCIs,
+    outliers: outliers.map(({ mild, severe }) => ({ mild, severe })),
+    winner: pickWinner(names, values, lowerIsBetter, rawStds, pValues),
+  };
+}
+
 /**
  * Build a BenchResult from per-binary timing sample arrays.
  * @param {string} name - benchmark display name
  * @param {string[]} names - binary name for each index
  * @param {number[][]} times - outer index = binary, inner = samples (ms)
+ * @param {{ lowerIsBetter?: boolean }} [opts]
  * @returns {BenchResult}
  */
-function makeDurationResult(name, names, times) {
-  const values = times.map((t) => median(t));
-  const rawStds = times.map((t) => stddev(t));
+function makeDurationResult(
+  name,
+  names,
+  times,
+  { lowerIsBetter = true } = {},
+) {
+  const { values, rawStds, pValues, diffCIs, outliers, winner } = summarize(
+    names,
+    times,
+    lowerIsBetter,
+  );
   return {
     name,
     values,
     fmts: values.map((v) => formatMs(v)),
     stds: rawStds.map((s) => formatMs(s)),
     rawStds,
-    winner: pickWinner(names, values, true, rawStds),
+    samples: times,
+    pValues,
+    diffCIs,
+    outliers,
+    winner,
     unit: "ms",
-    lowerIsBetter: true,
+    lowerIsBetter,
   };
 }
 
@@ -113,31 +628,163 @@ function makeDurationResult(name, names, times) {
  * @param {string} name - benchmark display name
  * @param {string[]} names - binary name for each index
  * @param {number[][]} arrays - outer index = binary, inner = samples (bytes)
+ * @param {{ lowerIsBetter?: boolean }} [opts]
  * @returns {BenchResult}
  */
-function makeBytesResult(name, names, arrays) {
-  const values = arrays.map((a) => median(a));
-  const rawStds = arrays.map((a) => stddev(a));
+function makeBytesResult(
+  name,
+  names,
+  arrays,
+  { lowerIsBetter = true } = {},
+) {
+  const { values, rawStds, pValues, diffCIs, outliers, winner } = summarize(
+    names,
+    arrays,
+    lowerIsBetter,
+  );
   return {
     name,
     values,
     fmts: values.map((v) => formatBytes(v)),
     stds: rawStds.map((s) => formatBytes(s)),
     rawStds,
-    winner: pickWinner(names, values, true, rawStds),
+    samples: arrays,
+    pValues,
+    diffCIs,
+    outliers,
+    winner,
     unit: "bytes",
-    lowerIsBetter: true,
+    lowerIsBetter,
+  };
+}
+
+/**
+ * Build a BenchResult from per-binary event-count sample arrays.
+ * @param {string} name - benchmark display name
+ * @param {string[]} names - binary name for each index
+ * @param {number[][]} counts - outer index = binary, inner = samples
+ * @param {{ lowerIsBetter?: boolean }} [opts]
+ * @returns {BenchResult}
+ */
+function makeCountResult(
+  name,
+  names,
+  counts,
+  { lowerIsBetter = true } = {},
+) {
+  const { values, rawStds, pValues, diffCIs, outliers, winner } = summarize(
+    names,
+    counts,
+    lowerIsBetter,
+  );
+  return {
+    name,
+    values,
+    fmts: values.map((v) => formatCount(v)),
+    stds: rawStds.map((s) => formatCount(s)),
+    rawStds,
+    samples: counts,
+    pValues,
+    diffCIs,
+    outliers,
+    winner,
+    unit: "count",
+    lowerIsBetter,
   };
 }
 
+/**
+ * Build a higher-is-better BenchResult from per-binary rate sample arrays.
+ * @param {string} name - benchmark display name
+ * @param {string[]} names - binary name for each index
+ * @param {number[][]} rates - outer index = binary, inner = samples
+ * @param {{ unit?: "ops/s"|"B/s" }} [opts]
+ * @returns {BenchResult}
+ */
+function makeThroughputResult(name, names, rates, { unit = "ops/s" } = {}) {
+  const format = UNIT_FORMATTERS[unit];
+  const { values, rawStds, pValues, diffCIs, outliers, winner } = summarize(
+    names,
+    rates,
+    false,
+  );
+  return {
+    name,
+    values,
+    fmts: values.map((v) => format(v)),
+    stds: rawStds.map((s) => format(s)),
+    rawStds,
+    samples: rates,
+    pValues,
+    diffCIs,
+    outliers,
+    winner,
+    unit,
+    lowerIsBetter: false,
+  };
+}
+
+/**
+ * Result for a child that times a fixed amount of work. By default a
+ * duration row; with ctx.THROUGHPUT (--throughput) each sample is converted
+ * to a rate over `work` so rows compare across benchmarks and machines.
+ *
+ * @param {object} ctx - benchmark context
+ * @param {string} name - benchmark display name
+ * @param {number[][]} times - outer index = binary, inner = samples (ms)
+ * @param {{ ops: number }|{ bytes: number }} work - done in each sample
+ * @returns {BenchResult}
+ */
+function makeTimedResult(ctx, name, times, work) {
+  if (!ctx.THROUGHPUT) return makeDurationResult(name, ctx.NAMES, times);
+  const amount = work.bytes ?? work.ops;
+  const rates = times.map((s) => s.map((ms) => amount / (ms / 1000)));
+  return makeThroughputResult(name, ctx.NAMES, rates, {
+    unit: work.bytes !== undefined ? "B/s" : "ops/s",
+  });
+}
+
 module.exports = {
   median,
   mean,
   stddev,
+  quantile,
+  classifyOutliers,
+  noisyOutlierWarnings,
+  DEFAULT_ALPHA,
+  configureStats,
+  getStatsOptions,
+  mannWhitneyU,
+  resample,
+  bootstrapMedianDiffCI,
+  bootstrapMedianCI,
+  compareToBest,
+  createFailureTally,
+  hasFailures,
+  applyFailures,
+  collectSamples,
+  parseStdoutNumber,
+  parseStdoutJSON,
   formatBytes,
   formatMs,
+  formatCount,
+  formatOpsRate,
+  formatByteRate,
+  UNIT_FORMATTERS,
   pctDiff,
+  formatPValue,
+  formatCI,
+  formatValueCell,
+  formatRelativeCell,
+  formatRowName,
+  formatRuns,
+  outlierLegend,
+  bestIndex,
   pickWinner,
+  summarize,
   makeDurationResult,
   makeBytesResult,
+  makeCountResult,
+  makeThroughputResult,
+  makeTimedResult,
 };
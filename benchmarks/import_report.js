@@ -0,0 +1,63 @@
+// Import saved console reports (results.txt) as results documents
+// Run with: node import_report.js <report.txt> [--json <file>]
+//             [--markdown <file>] [--csv <file>] [--html <file>]
+//
+// Thin CLI wrapper around importer.parseTextReport(). With no output option
+// the document is printed to stdout as JSON.
+
+require("./node_version");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { loadResultsFile } = require("./importer");
+const { writeResultsFile } = require("./results");
+const { renderMarkdown, renderCSV, renderHTML } = require("./formats");
+
+const USAGE =
+  "Usage: node import_report.js <report.txt> [--json <file>]" +
+  " [--markdown <file>] [--csv <file>] [--html <file>]";
+
+const WRITERS = {
+  json: writeResultsFile,
+  markdown: (file, doc) => fs.writeFileSync(file, renderMarkdown(doc)),
+  csv: (file, doc) => fs.writeFileSync(file, renderCSV(doc)),
+  html: (file, doc) => fs.writeFileSync(file, renderHTML(doc)),
+};
+
+function main(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: Object.fromEntries(
+        Object.keys(WRITERS).map((key) => [key, { type: "string" }]),
+      ),
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 1;
+  }
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const doc = loadResultsFile(positionals[0]);
+  const outputs = Object.keys(WRITERS).filter((key) => values[key]);
+  if (outputs.length === 0) {
+    process.stdout.write(JSON.stringify(doc, null, 2) + "\n");
+    return 0;
+  }
+  for (const key of outputs) {
+    WRITERS[key](values[key], doc);
+    console.log(`Wrote ${values[key]} (--${key})`);
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
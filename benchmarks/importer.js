@@ -0,0 +1,454 @@
+// importer.js — Console reports saved as text (results.txt files, --output
+// copies, redirected stdout) read back into results documents, so runs that
+// predate --json can feed --baseline and the other reporters.
+//
+// Both layouts are understood, from the oldest reports (value, Diff and
+// Winner columns only) to the current one (p-value, CI, Runs, significance
+// table). Text carries no raw samples, so imported rows have medians, stddevs
+// and winners but no `samples`, and their categories are unknown.
+
+"use strict";
+
+const fs = require("fs");
+const { RESULTS_FORMAT_VERSION, readResultsFile, computeSummary } =
+  require("./results");
+
+const TITLE_RE = /^=== Node\.js Binary Benchmark: (.+) ===$/;
+
+// ─── Values ───────────────────────────────────────────────────────────────────
+
+const BYTE_SCALE = { B: 1, KB: 1024, MB: 1024 * 1024 };
+const RATE_SCALE = { "": 1, k: 1e3, M: 1e6 };
+
+/**
+ * A value as printed by the formatters in helpers.js, e.g. "12.34 ms",
+ * "1.50 MB", "12.35k ops/s", "3.00 MB/s" or "42", back to a number and its
+ * unit. Returns null for anything else.
+ * @returns {{ value: number, unit: string }|null}
+ */
+function parseFormattedValue(text) {
+  const s = text.trim();
+  let m;
+  if ((m = /^([-+]?\d+(?:\.\d+)?) ms$/.exec(s))) {
+    return { value: Number(m[1]), unit: "ms" };
+  }
+  if ((m = /^([-+]?\d+(?:\.\d+)?) (B|KB|MB)\/s$/.exec(s))) {
+    return { value: Number(m[1]) * BYTE_SCALE[m[2]], unit: "B/s" };
+  }
+  if ((m = /^([-+]?\d+(?:\.\d+)?) (B|KB|MB)$/.exec(s))) {
+    return { value: Number(m[1]) * BYTE_SCALE[m[2]], unit: "bytes" };
+  }
+  if ((m = /^([-+]?\d+(?:\.\d+)?)(k|M)? ops\/s$/.exec(s))) {
+    return { value: Number(m[1]) * RATE_SCALE[m[2] ?? ""], unit: "ops/s" };
+  }
+  if ((m = /^([-+]?\d+(?:\.\d+)?)$/.exec(s))) {
+    return { value: Number(m[1]), unit: "count" };
+  }
+  return null;
+}
+
+const FAILED_CELL_RE = /^FAILED (\d+)\/(\d+) \((.*)\)$/;
+const VALUE_CELL_RE =
+  /^(.+?)(?: ±(.+?))?(?: \[(\d+)\/(\d+)\])?(?: \([+-]?\d+(?:\.\d+)?%\))?$/;
+
+// One binary's cell of the results table (see formatValueCell and
+// formatRelativeCell); the "(+x%)" distance from the best is dropped.
+function parseValueCell(cell) {
+  const failed = FAILED_CELL_RE.exec(cell);
+  if (failed) {
+    return {
+      failure: {
+        runs: Number(failed[2]),
+        failed: Number(failed[1]),
+        reasons: { [failed[3]]: Number(failed[1]) },
+        stderr: "",
+      },
+    };
+  }
+  const m = VALUE_CELL_RE.exec(cell);
+  const parsed = m && parseFormattedValue(m[1]);
+  if (!parsed) throw new Error(`unrecognised value "${cell}"`);
+  const std = m[2] === undefined ? null : parseFormattedValue(m[2]);
+  return {
+    ...parsed,
+    fmt: m[1],
+    std: m[2] ?? null,
+    rawStd: std ? std.value : null,
+    outliers: {
+      mild: Number(m[3] ?? 0),
+      severe: Number(m[4] ?? 0),
+    },
+  };
+}
+
+// "[+1.00 ms, +2.00 ms]" as printed by formatCI, or null for "-".
+function parseCI(text) {
+  const m = /^\[(.+), (.+)\]$/.exec(text.trim());
+  if (!m) return null;
+  const lo = parseFormattedValue(m[1]);
+  const hi = parseFormattedValue(m[2]);
+  return lo && hi ? [lo.value, hi.value] : null;
+}
+
+function parsePValue(text) {
+  const s = text.trim();
+  if (s === "<0.001") return 0.0005;
+  return /^\d/.test(s) ? Number(s) : null;
+}
+
+// ─── Sections ─────────────────────────────────────────────────────────────────
+
+// Cells of a "| a | b |" table line.
+function tableCells(line) {
+  return line
+    .slice(1, line.lastIndexOf("|"))
+    .split("|")
+    .map((c) => c.trim());
+}
+
+// Titles of the tables printed after the results table.
+const SECONDARY_TABLES = ["Significance", "A/A control"];
+
+// Every "| Benchmark | ..." table: column names, data lines and the line
+// just before the table (the significance and A/A control tables have a
+// title there).
+function findTables(lines) {
+  const tables = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith("| Benchmark")) continue;
+    const rows = [];
+    let j = i + 2; // skip the separator under the header
+    while (j < lines.length && lines[j].startsWith("|")) {
+      rows.push(tableCells(lines[j]));
+      j++;
+    }
+    tables.push({ head: tableCells(lines[i]), rows, title: lines[i - 2] ?? "" });
+    i = j;
+  }
+  return tables;
+}
+
+// "Key: value" and "Key   : value" header lines, keyed by lower-case key.
+function headerFields(lines) {
+  const fields = {};
+  for (const line of lines) {
+    if (line.startsWith("Running:") || line.startsWith("| Benchmark")) break;
+    const m = /^([A-Z][A-Za-z ()]*?)\s*: (.*)$/.exec(line);
+    if (m && !(m[1].toLowerCase() in fields)) {
+      fields[m[1].toLowerCase()] = m[2];
+    }
+  }
+  return fields;
+}
+
+// Inverse of describeIterations().
+function parseIterations(text = "") {
+  const fixed = /^(\d+) \(warmup: (\d+)\)$/.exec(text);
+  if (fixed) {
+    return {
+      iterations: Number(fixed[1]),
+      warmup: Number(fixed[2]),
+      adaptive: null,
+    };
+  }
+  const adaptive =
+    /^adaptive, until median CI width < ([\d.]+)% \(max (\d+) rounds \/ ([\d.]+) s; warmup: (\d+)\)$/.exec(
+      text,
+    );
+  if (adaptive) {
+    return {
+      iterations: null,
+      warmup: Number(adaptive[4]),
+      adaptive: {
+        targetCI: Number(adaptive[1]) / 100,
+        maxIterations: Number(adaptive[2]),
+        maxTimeMs: Number(adaptive[3]) * 1000,
+      },
+    };
+  }
+  return { iterations: null, warmup: null, adaptive: null };
+}
+
+// Fields a report didn't print (older layouts) are null.
+function parseHost(fields) {
+  const [platform = null, arch = null] = (fields.platform ?? "").split(" ");
+  const cpus = /^(.*) \((\d+) cores\)$/.exec(fields.cpus ?? "");
+  const ram = parseFormattedValue(fields.ram ?? "");
+  const alpha = fields["significance level (alpha)"] ?? fields.alpha;
+  const timeout = /^([\d.]+) s per run$/.exec(fields.timeout ?? "");
+  const skipped = /^\d+ benchmark\(s\): (.*)$/.exec(fields.skipped ?? "");
+  const control = /^A\/A copy of (.+?);/.exec(fields.control ?? "");
+  return {
+    platform,
+    arch,
+    cpu: cpus ? cpus[1] : (fields.cpus ?? null),
+    cores: cpus ? Number(cpus[2]) : null,
+    ram: ram ? ram.value : null,
+    date: fields.date ?? null,
+    ...parseIterations(fields["iterations per benchmark"]),
+    alpha: alpha === undefined ? null : Number(alpha),
+    excludeOutliers:
+      fields.outliers === undefined
+        ? null
+        : fields.outliers.startsWith("excluded"),
+    timeoutMs: timeout ? Number(timeout[1]) * 1000 : null,
+    ...(skipped && { skipped: skipped[1].split(", ") }),
+    ...(control && { control: control[1] }),
+  };
+}
+
+// Binary paths, flags and versions listed under the header: "<name> binary:
+// <path>" (pairwise) or "<name> : <path>" (multi), then indented lines.
+function parseBinaries(lines, names) {
+  return names.map((name) => {
+    const at = lines.findIndex(
+      (l) => l.startsWith(`${name} binary: `) || l.startsWith(`${name} : `),
+    );
+    const binary = {
+      name,
+      bin: at === -1 ? null : lines[at].slice(lines[at].indexOf(": ") + 2),
+      args: [],
+      env: {},
+      version: null,
+      v8: null,
+    };
+    for (let i = at + 1; at !== -1 && lines[i]?.startsWith("  "); i++) {
+      const line = lines[i].trim();
+      const flags = /^Flags\/env: (.*)$/.exec(line);
+      const versions = /^Node(?: version)?: (.*), V8: (.*)$/.exec(line);
+      if (flags) {
+        // describeVariant() prints NAME=value assignments, then args.
+        for (const word of flags[1].split(" ")) {
+          const env = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(word);
+          if (env) binary.env[env[1]] = env[2];
+          else binary.args.push(word);
+        }
+      } else if (versions) {
+        binary.version = versions[1];
+        binary.v8 = versions[2];
+      }
+    }
+    return binary;
+  });
+}
+
+// Marked name of a detail row in the results and A/A control tables (see
+// formatRowName); reports from before the marker import every row as scored.
+const DETAIL_NAME_RE = /^· (.+)$/;
+
+// Result rows of the main table. Pairwise tables carry the p-value and the
+// CI of B - A, stored like compare() does: relative to the better binary.
+function parseResults(table, names) {
+  const col = (name) => table.head.indexOf(name);
+  const valueCols = names.map(col);
+  if (valueCols.includes(-1)) {
+    throw new Error("results table columns don't match the binaries");
+  }
+  return table.rows.map((cells) => {
+    const marked = DETAIL_NAME_RE.exec(cells[0]);
+    const name = marked ? marked[1] : cells[0];
+    let parsed;
+    try {
+      parsed = valueCols.map((c) => parseValueCell(cells[c]));
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+    const unit = parsed.find((p) => p.unit)?.unit ?? "ms";
+    const lowerIsBetter = unit !== "ops/s" && unit !== "B/s";
+    // Runs ("30" or "30/28", see formatRuns) gives the other binaries' runs.
+    const runs = (cells[col("Runs")] ?? "").split("/").map(Number);
+    const failures = parsed.some((p) => p.failure)
+      ? parsed.map(
+        (p, i) =>
+          p.failure ?? {
+            runs: (runs.length > 1 ? runs[i] : runs[0]) || null,
+            failed: 0,
+            reasons: {},
+            stderr: "",
+          },
+      )
+      : null;
+    const row = {
+      name,
+      values: parsed.map((p) => p.value ?? NaN),
+      fmts: parsed.map((p) => p.fmt ?? "-"),
+      stds: parsed.every((p) => p.failure || p.std === null)
+        ? null
+        : parsed.map((p) => p.std ?? "-"),
+      rawStds: parsed.map((p) => p.rawStd ?? null),
+      outliers: parsed.map((p) => p.outliers ?? { mild: 0, severe: 0 }),
+      winner: cells[col("Winner")] ?? "",
+      unit,
+      lowerIsBetter,
+    };
+    if (marked) row.detail = true;
+    if (failures) row.failures = failures;
+
+    const pCol = col("p-value");
+    const p = pCol === -1 ? null : parsePValue(cells[pCol]);
+    if (p !== null && names.length === 2) {
+      // B - A is the worse-minus-better difference when A is better.
+      const [a, b] = row.values;
+      const aBetter = lowerIsBetter ? a <= b : a >= b;
+      const ciCol = col("CI (B-A)");
+      const ci = ciCol === -1 ? null : parseCI(cells[ciCol]);
+      row.pValues = aBetter ? [null, p] : [p, null];
+      row.diffCIs = aBetter ? [null, ci] : [ci && [-ci[1], -ci[0]], null];
+    }
+    return row;
+  });
+}
+
+// Multi-binary significance table: "best" or "p=0.012 [lo, hi]" per binary.
+function applySignificance(results, table, names) {
+  const byName = new Map(results.map((r) => [r.name, r]));
+  for (const cells of table.rows) {
+    const row = byName.get(cells[0]);
+    if (!row) continue;
+    row.pValues = [];
+    row.diffCIs = [];
+    names.forEach((name, i) => {
+      const cell = cells[table.head.indexOf(name)] ?? "";
+      const m = /^p=(\S+) (.*)$/.exec(cell);
+      row.pValues.push(m ? parsePValue(m[1]) : null);
+      row.diffCIs.push(m ? parseCI(m[2]) : null);
+    });
+  }
+}
+
+// A/A control table (--control): "A/A diff", "MDD" and "~Tie (was X)".
+function applyNoise(results, table) {
+  const byName = new Map(results.map((r) => [r.name, r]));
+  for (const [cell, diff, mdd, verdict = ""] of table.rows) {
+    const row = byName.get(DETAIL_NAME_RE.exec(cell)?.[1] ?? cell);
+    if (!row) continue;
+    const was = /^~Tie \(was (.+)\)$/.exec(verdict);
+    row.noise =
+      diff === "-"
+        ? null
+        : {
+          diff: parseFloat(diff),
+          mdd: parseFloat(mdd.replace("±", "")),
+          downgraded: was ? was[1] : null,
+        };
+  }
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Win counts, advantages and overall winner printed under the table, or null
+// when the report was cut off before them.
+function parseSummary(text, names) {
+  const overall = /^Overall winner by weighted advantage: (.+?)\s*$/m.exec(
+    text,
+  );
+  if (!overall) return null;
+  const wins = [];
+  const advantage = [];
+  const share = [];
+  let ties;
+  let failed;
+  const pairwise = /^Win count\s+: (.*)$/m.exec(text);
+  if (pairwise) {
+    const pct = /^Pct advantage: (.*)$/m.exec(text)?.[1] ?? "";
+    for (const name of names) {
+      const n = escapeRegExp(name);
+      const w = new RegExp(`(?:^|, )${n} (\\d+)`).exec(pairwise[1]);
+      const a = new RegExp(`(?:^|, )${n} (-?[\\d.]+)% \\(([\\d.]+)%\\)`).exec(
+        pct,
+      );
+      wins.push(w ? Number(w[1]) : 0);
+      advantage.push(a ? Number(a[1]) : 0);
+      share.push(a ? Number(a[2]) : 0);
+    }
+    ties = Number(/Ties (\d+)/.exec(pairwise[1])?.[1] ?? 0);
+    failed = Number(/Failed (\d+)/.exec(pairwise[1])?.[1] ?? 0);
+  } else {
+    const head =
+      /^Win count \(\d+ benchmarks, (\d+) statistical ties(?:, (\d+) failed)?\):$/m.exec(
+        text,
+      );
+    if (!head) return null;
+    ties = Number(head[1]);
+    failed = Number(head[2] ?? 0);
+    for (const name of names) {
+      const m = new RegExp(
+        `^  ${escapeRegExp(name)}\\s*:\\s*(\\d+) wins,\\s*(-?[\\d.]+)% weighted advantage \\(([\\d.]+)% share\\)`,
+        "m",
+      ).exec(text);
+      wins.push(m ? Number(m[1]) : 0);
+      advantage.push(m ? Number(m[2]) : 0);
+      share.push(m ? Number(m[3]) : 0);
+    }
+  }
+  return {
+    wins,
+    ties,
+    failed,
+    advantage,
+    share,
+    overallWinner: overall[1],
+  };
+}
+
+// ─── Entry points ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse a console report (pairwise or multi-binary layout) into a results
+ * document. Header fields the report didn't print are null; the win summary
+ * is taken from the report, or recomputed from the table if it was cut off.
+ * Throws when the text has no report title or results table.
+ *
+ * @param {string} text - the report, progress lines and all
+ * @param {string} [source] - file name recorded as `imported.from`
+ * @returns {object} results document with an extra `imported` field
+ */
+function parseTextReport(text, source = null) {
+  const lines = text.split(/\r?\n/).map((l) => l.trimEnd());
+  const titleAt = lines.findIndex((l) => TITLE_RE.test(l));
+  if (titleAt === -1) throw new Error("no benchmark report title found");
+  const names = TITLE_RE.exec(lines[titleAt])[1].split(" vs ");
+  const body = lines.slice(titleAt);
+
+  const tables = findTables(body);
+  const main = tables.find(
+    (t) => !SECONDARY_TABLES.some((title) => t.title.startsWith(title)),
+  );
+  if (!main) throw new Error("no results table found");
+  const results = parseResults(main, names);
+  const significance = tables.find((t) => t.title.startsWith("Significance"));
+  if (significance) applySignificance(results, significance, names);
+  const noise = tables.find((t) => t.title.startsWith("A/A control"));
+  if (noise) applyNoise(results, noise);
+
+  return {
+    version: RESULTS_FORMAT_VERSION,
+    host: parseHost(headerFields(body)),
+    binaries: parseBinaries(body, names),
+    results,
+    summary:
+      parseSummary(body.join("\n"), names) ?? computeSummary(results, names),
+    imported: {
+      from: source,
+      layout: main.head.includes("Diff") ? "pairwise" : "multi",
+    },
+  };
+}
+
+/**
+ * Load a results document from a --json file or a saved console report.
+ * JSON is recognised by its leading "{"; anything else is parsed as text.
+ */
+function loadResultsFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (text.trimStart().startsWith("{")) return readResultsFile(file);
+  try {
+    return parseTextReport(text, file);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
+
+module.exports = { parseFormattedValue, parseTextReport, loadResultsFile };
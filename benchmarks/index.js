@@ -3,8 +3,22 @@
 // benchmark_compare_multiple.js import from here.
 //
 // Each benchmark function signature: (ctx) => BenchResult | BenchResult[]
-//   ctx = { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
-//   runAll(binArgs) => result[] — indexed by binary, each { durationMs, stdout, ... }
+//   ctx = { runAll, BINS, NAMES, VARIANTS, N, WARMUP, ITERATIONS, ADAPTIVE,
+//           TIMEOUT_MS, RESOURCE_USAGE, THROUGHPUT, failures, usage }
+//   NAMES are the variant labels; VARIANTS[i] = { label, bin, args, env }
+//   (see variants.js). runAll applies each variant's args and env itself.
+//   runAll(binArgs) => result[] — indexed by binary, each
+//     { durationMs, stdout, stderr, status, signal, failure, resourceUsage }
+//   ADAPTIVE = null (fixed ITERATIONS) or { targetCI, maxIterations, maxTimeMs }
+//   Benchmarks gather samples through helpers.collectSamples(ctx, ...), which
+//   handles warmup, both iteration modes, failure tallying (ctx.failures) and
+//   resource usage collection (ctx.usage, with --resource-usage).
+//   Fixed-work benchmarks build rows with helpers.makeTimedResult(), which
+//   honours THROUGHPUT (--throughput).
+//
+// Registry entries are { name, fn, category }, category one of CATEGORIES.
+// Extra benchmarks can be added without editing this file: see plugins.js
+// (--bench-dir on the command line).
 
 "use strict";
 
@@ -13,6 +27,7 @@ const {
   benchStartupTime,
   benchRequireFS,
   benchRequireHeavy,
+  benchStartupPhases,
 } = require("./startup");
 const { benchMemoryStartup, benchMemoryHeavy } = require("./memory");
 const {
@@ -23,22 +38,47 @@ const {
   benchTextCodec,
 } = require("./cpu");
 const { benchFSRead, benchStreamPipe } = require("./io");
+const {
+  benchHashing,
+  benchHMAC,
+  benchAESGCM,
+  benchKDF,
+  benchRandomBytes,
+  benchSignatures,
+} = require("./crypto");
+const { benchHTTP } = require("./network");
+const { benchGC } = require("./gc");
+
+/**
+ * Benchmark categories, for --category/--exclude-category and --list.
+ * Plugins without a category of their own are filed under "plugin".
+ */
+const CATEGORIES = ["startup", "memory", "cpu", "io", "system", "plugin"];
 
 /** Ordered list of timed benchmarks. Passed to both runner scripts. */
 const benchmarks = [
-  { name: "Binary Size", fn: benchBinarySize },
-  { name: "Startup Time", fn: benchStartupTime },
-  { name: 'require("fs")', fn: benchRequireFS },
-  { name: "Require 10 modules", fn: benchRequireHeavy },
-  { name: "Memory at Startup", fn: benchMemoryStartup },
-  { name: "Buffer Operations", fn: benchBufferOps },
-  { name: "JSON parse/stringify", fn: benchJSON },
-  { name: "URL parsing (Ada)", fn: benchURLParsing },
-  { name: "Zlib compress/decomp", fn: benchZlib },
-  { name: "TextEncoder/Decoder", fn: benchTextCodec },
-  { name: "Stream pipe throughput", fn: benchStreamPipe },
-  { name: "FS readFileSync", fn: benchFSRead },
-  { name: "Memory under load", fn: benchMemoryHeavy },
+  { name: "Binary Size", fn: benchBinarySize, category: "system" },
+  { name: "Startup Time", fn: benchStartupTime, category: "startup" },
+  { name: "Startup phases", fn: benchStartupPhases, category: "startup" },
+  { name: 'require("fs")', fn: benchRequireFS, category: "startup" },
+  { name: "Require 10 modules", fn: benchRequireHeavy, category: "startup" },
+  { name: "Memory at Startup", fn: benchMemoryStartup, category: "memory" },
+  { name: "Buffer Operations", fn: benchBufferOps, category: "cpu" },
+  { name: "JSON parse/stringify", fn: benchJSON, category: "cpu" },
+  { name: "URL parsing (Ada)", fn: benchURLParsing, category: "cpu" },
+  { name: "Zlib compress/decomp", fn: benchZlib, category: "cpu" },
+  { name: "TextEncoder/Decoder", fn: benchTextCodec, category: "cpu" },
+  { name: "Crypto hashing", fn: benchHashing, category: "cpu" },
+  { name: "Crypto HMAC", fn: benchHMAC, category: "cpu" },
+  { name: "Crypto AES-GCM", fn: benchAESGCM, category: "cpu" },
+  { name: "Crypto KDF", fn: benchKDF, category: "cpu" },
+  { name: "Crypto randomBytes", fn: benchRandomBytes, category: "cpu" },
+  { name: "Crypto signatures", fn: benchSignatures, category: "cpu" },
+  { name: "Stream pipe throughput", fn: benchStreamPipe, category: "io" },
+  { name: "FS readFileSync", fn: benchFSRead, category: "io" },
+  { name: "HTTP loopback", fn: benchHTTP, category: "io" },
+  { name: "Memory under load", fn: benchMemoryHeavy, category: "memory" },
+  { name: "Garbage collection", fn: benchGC, category: "memory" },
 ];
 
-module.exports = { benchmarks, benchVersionInfo };
+module.exports = { CATEGORIES, benchmarks, benchVersionInfo };
@@ -1,16 +1,19 @@
 // io.js — I/O and stream benchmarks exercising Node's C++ internals.
 // Each exported function accepts a ctx object:
-//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
 
 "use strict";
 
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { makeDurationResult } = require("./helpers");
+const {
+  collectSamples,
+  parseStdoutNumber,
+  makeTimedResult,
+} = require("./helpers");
 
 function benchFSRead(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const tmpFile = path.join(os.tmpdir(), "node_bench_test.txt");
   fs.writeFileSync(tmpFile, "x".repeat(64 * 1024)); // 64KB
 
@@ -23,23 +26,17 @@ function benchFSRead(ctx) {
     }
     console.log(performance.now() - start);
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
   try {
     fs.unlinkSync(tmpFile);
   } catch {}
-  return makeDurationResult("FS: readFileSync 64KB (5000x)", NAMES, times);
+  return makeTimedResult(ctx, "FS: readFileSync 64KB (5000x)", times, {
+    bytes: 5000 * 64 * 1024,
+  });
 }
 
 function benchStreamPipe(ctx) {
   // PassThrough pipe chain exercises Node's C++ stream internals
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
   const code = `
     const { performance } = require('perf_hooks');
     const { PassThrough } = require('stream');
@@ -62,15 +59,10 @@ function benchStreamPipe(ctx) {
       src.end();
     }
   `;
-  const times = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      const t = parseFloat(r.stdout.trim());
-      if (!isNaN(t)) times[idx].push(t);
-    });
-  }
-  return makeDurationResult("Stream pipe 3-chain (200x100 16KB)", NAMES, times);
+  const times = collectSamples(ctx, ["-e", code], parseStdoutNumber);
+  return makeTimedResult(ctx, "Stream pipe 3-chain (200x100 16KB)", times, {
+    bytes: 200 * 100 * 16 * 1024,
+  });
 }
 
 module.exports = { benchFSRead, benchStreamPipe };
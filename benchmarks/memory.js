@@ -1,25 +1,25 @@
 // memory.js — Memory usage benchmarks.
 // Each exported function accepts a ctx object:
-//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
 
 "use strict";
 
-const { makeBytesResult } = require("./helpers");
+const {
+  collectSamples,
+  parseStdoutJSON,
+  makeBytesResult,
+} = require("./helpers");
 
 function benchMemoryStartup(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
+  const { NAMES } = ctx;
   const code = `setTimeout(() => { const m = process.memoryUsage(); console.log(JSON.stringify(m)); }, 100);`;
 
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-
-  const mems = Array.from({ length: N }, () => []);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      try {
-        mems[idx].push(JSON.parse(r.stdout.trim()));
-      } catch {}
-    });
-  }
+  const mems = collectSamples(
+    ctx,
+    ["-e", code],
+    parseStdoutJSON,
+    (m) => m.rss,
+  );
 
   return [
     makeBytesResult(
@@ -46,22 +46,19 @@ function benchMemoryStartup(ctx) {
 }
 
 function benchMemoryHeavy(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
+  const { NAMES } = ctx;
   const code = `
     const arr = [];
     for (let i = 0; i < 500000; i++) arr.push({ idx: i, data: 'x'.repeat(20) });
     console.log(JSON.stringify(process.memoryUsage()));
   `;
 
-  const mems = Array.from({ length: N }, () => []);
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => {
-      try {
-        mems[idx].push(JSON.parse(r.stdout.trim()));
-      } catch {}
-    });
-  }
+  const mems = collectSamples(
+    ctx,
+    ["-e", code],
+    parseStdoutJSON,
+    (m) => m.rss,
+  );
 
   return [
     makeBytesResult(
@@ -0,0 +1,116 @@
+// network.js — Loopback networking benchmarks (http/net). 127.0.0.1 only, so
+// they run on offline machines.
+// Each exported function accepts a ctx object:
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
+
+"use strict";
+
+const {
+  collectSamples,
+  parseStdoutJSON,
+  makeDurationResult,
+  makeThroughputResult,
+} = require("./helpers");
+
+const HTTP_WARMUP_MS = 250; // unmeasured, lets both sides JIT and connect
+const HTTP_DURATION_MS = 1000; // measured load phase per run
+const HTTP_CONNECTIONS = 16;
+
+// Load generator: keeps HTTP_CONNECTIONS keep-alive requests in flight for
+// HTTP_WARMUP_MS + HTTP_DURATION_MS and prints { requests, elapsedMs, p50,
+// p99 } for the measured phase as JSON. Runs in its own process, spawned from
+// the server with process.execPath, so client and server are both the binary
+// under test. It is spawned without process.execArgv on purpose: a variant's
+// flags and preloads (--jitless, -r for --resource-usage) reach only the
+// server, and the client stays the same load for every variant of a binary,
+// with its default flags (environment variables still apply). Exits 1 when
+// no request completes in the measured phase, so the run fails rather than
+// reporting empty percentiles.
+const httpClientCode = `
+  const http = require('http');
+  const port = Number(process.argv[1]);
+  const agent = new http.Agent({ keepAlive: true, maxSockets: ${HTTP_CONNECTIONS} });
+  const latencies = [];
+  const start = process.hrtime.bigint() + BigInt(${HTTP_WARMUP_MS} * 1e6);
+  const deadline = start + BigInt(${HTTP_DURATION_MS} * 1e6);
+  let active = ${HTTP_CONNECTIONS};
+  function next() {
+    if (process.hrtime.bigint() >= deadline) {
+      if (--active === 0) finish();
+      return;
+    }
+    const t0 = process.hrtime.bigint();
+    http.get({ host: '127.0.0.1', port, path: '/', agent }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (t0 >= start) latencies.push(Number(process.hrtime.bigint() - t0) / 1e6);
+        next();
+      });
+    }).on('error', (err) => { console.error(err.message); process.exit(1); });
+  }
+  function finish() {
+    if (latencies.length === 0) {
+      console.error('no request completed in the measured phase');
+      process.exit(1);
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    latencies.sort((a, b) => a - b);
+    const pct = (q) => latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * q))];
+    console.log(JSON.stringify({ requests: latencies.length, elapsedMs, p50: pct(0.5), p99: pct(0.99) }));
+    agent.destroy();
+  }
+  for (let i = 0; i < ${HTTP_CONNECTIONS}; i++) next();
+`;
+
+function benchHTTP(ctx) {
+  const { NAMES } = ctx;
+  const code = `
+    const http = require('http');
+    const { spawn } = require('child_process');
+    const body = JSON.stringify({ ok: true, items: [1, 2, 3] });
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(body);
+    });
+    server.keepAliveTimeout = 60000;
+    server.listen(0, '127.0.0.1', () => {
+      const client = spawn(process.execPath,
+        ['-e', ${JSON.stringify(httpClientCode)}, String(server.address().port)],
+        { stdio: ['ignore', 'pipe', 'inherit'] });
+      let out = '';
+      client.stdout.on('data', (d) => (out += d));
+      client.on('exit', (code) => {
+        server.close();
+        server.closeAllConnections?.();
+        if (code !== 0) process.exit(code || 1);
+        process.stdout.write(out);
+      });
+    });
+  `;
+  const runs = collectSamples(
+    ctx,
+    ["-e", code],
+    parseStdoutJSON,
+    (r) => r.requests,
+  );
+  const label = `${HTTP_CONNECTIONS} conns, ${HTTP_DURATION_MS / 1000} s`;
+  return [
+    makeThroughputResult(
+      `HTTP keep-alive requests (${label})`,
+      NAMES,
+      runs.map((rs) => rs.map((r) => (r.requests / r.elapsedMs) * 1000)),
+    ),
+    makeDurationResult(
+      "HTTP latency p50",
+      NAMES,
+      runs.map((rs) => rs.map((r) => r.p50)),
+    ),
+    makeDurationResult(
+      "HTTP latency p99",
+      NAMES,
+      runs.map((rs) => rs.map((r) => r.p99)),
+    ),
+  ];
+}
+
+module.exports = { benchHTTP };
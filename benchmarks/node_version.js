@@ -0,0 +1,25 @@
+// node_version.js — Refuses to start the harness on a host Node that is too
+// old for it (util.parseArgs with tokens, Object.hasOwn). Entry scripts
+// require it before anything else, so older hosts get this message instead
+// of "parseArgs is not a function". Keep it to syntax old Node versions
+// parse. Only the host running the harness is checked, not the binaries
+// under test.
+
+"use strict";
+
+/** Oldest host Node.js major version the harness runs on. */
+const MIN_NODE_MAJOR = 18;
+
+const major = Number(process.versions.node.split(".")[0]);
+if (major < MIN_NODE_MAJOR) {
+  console.error(
+    "The benchmark harness requires Node >= " +
+    MIN_NODE_MAJOR +
+    " to run (this is " +
+    process.version +
+    ").",
+  );
+  process.exit(1);
+}
+
+module.exports = { MIN_NODE_MAJOR };
@@ -0,0 +1,163 @@
+// plugins.js — User-defined benchmarks loaded from outside the repo.
+// A plugin file is a CommonJS module exporting one definition or an array:
+//
+//   module.exports = {
+//     name: "Regex match (100k)",      // table row label
+//     code: `...; console.log(elapsedMs)`, // run with <binary> -e <code>
+//     kind: "duration",                // see KINDS below
+//     ops: 100000,                     // optional work per run, see below
+//     category: "cpu",                 // optional, default "plugin"
+//   };
+//
+// Timed kinds may declare the work done per run as `ops` or `bytes`; with
+// --throughput their rows are then reported as ops/s or bytes/s. Other
+// definitions may set `lowerIsBetter` (default true); rows with work already
+// have a direction, so the two can't be combined.
+//
+// The harness handles warmup, iterations, stdout parsing and result building,
+// so a definition turns into a registry entry like the built-in benchmarks.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {
+  collectSamples,
+  parseStdoutNumber,
+  makeDurationResult,
+  makeBytesResult,
+  makeTimedResult,
+} = require("./helpers");
+const { CATEGORIES } = require(".");
+
+/** How each plugin kind turns a child run into a sample and a result row. */
+const KINDS = {
+  // The child times its own workload and prints elapsed milliseconds.
+  duration: {
+    parse: parseStdoutNumber,
+    build: makeDurationResult,
+    timed: true,
+  },
+  // The harness measures the child's wall-clock time, startup included.
+  wallclock: {
+    parse: (r) => r.durationMs,
+    build: makeDurationResult,
+    timed: true,
+  },
+  // The child prints a byte count (e.g. process.memoryUsage().rss).
+  bytes: { parse: parseStdoutNumber, build: makeBytesResult, timed: false },
+};
+
+function validateDefinition(def, file) {
+  const fail = (msg) => {
+    throw new TypeError(`${file}: ${msg}`);
+  };
+  if (!def || typeof def !== "object") fail("definition must be an object");
+  if (typeof def.name !== "string" || !def.name) fail("missing name");
+  if (typeof def.code !== "string" || !def.code) {
+    fail(`"${def.name}" has no code`);
+  }
+  if (!Object.hasOwn(KINDS, def.kind)) {
+    fail(
+      `"${def.name}" has unknown kind ${JSON.stringify(def.kind)}` +
+      ` (expected ${Object.keys(KINDS).join(", ")})`,
+    );
+  }
+  if (
+    def.lowerIsBetter !== undefined &&
+    typeof def.lowerIsBetter !== "boolean"
+  ) {
+    fail(`"${def.name}" lowerIsBetter must be a boolean`);
+  }
+  for (const key of ["ops", "bytes"]) {
+    if (def[key] === undefined) continue;
+    if (!KINDS[def.kind].timed) {
+      fail(`"${def.name}" ${key} needs a timed kind`);
+    }
+    if (!(def[key] > 0)) {
+      fail(`"${def.name}" ${key} must be a positive number`);
+    }
+  }
+  if (def.ops !== undefined && def.bytes !== undefined) {
+    fail(`"${def.name}" declares both ops and bytes`);
+  }
+  if (
+    def.lowerIsBetter !== undefined &&
+    (def.ops !== undefined || def.bytes !== undefined)
+  ) {
+    fail(`"${def.name}" lowerIsBetter can't be combined with ops or bytes`);
+  }
+  if (def.category !== undefined && !CATEGORIES.includes(def.category)) {
+    fail(
+      `"${def.name}" has unknown category ${JSON.stringify(def.category)}` +
+      ` (expected ${CATEGORIES.join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Turn a validated definition into a registry entry ({ name, fn, category }).
+ * @param {{ name: string, code: string, kind: string,
+ *   lowerIsBetter?: boolean, ops?: number, bytes?: number,
+ *   category?: string }} def
+ */
+function definePluginBenchmark(def) {
+  const { parse, build } = KINDS[def.kind];
+  const lowerIsBetter = def.lowerIsBetter ?? true;
+  const work =
+    def.ops !== undefined || def.bytes !== undefined
+      ? { ops: def.ops, bytes: def.bytes }
+      : null;
+  return {
+    name: def.name,
+    category: def.category ?? "plugin",
+    fn(ctx) {
+      const samples = collectSamples(ctx, ["-e", def.code], parse);
+      if (work) return makeTimedResult(ctx, def.name, samples, work);
+      return build(def.name, ctx.NAMES, samples, { lowerIsBetter });
+    },
+  };
+}
+
+// Plugin files under a directory, in name order so the table order is stable.
+function pluginFiles(target) {
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Benchmark plugin path not found: ${resolved}`);
+  }
+  if (!fs.statSync(resolved).isDirectory()) return [resolved];
+  return fs
+    .readdirSync(resolved)
+    .filter((f) => /\.c?js$/.test(f))
+    .sort()
+    .map((f) => path.join(resolved, f));
+}
+
+/**
+ * Load benchmark definitions from plugin files and/or directories.
+ * Throws if a file fails to load, a definition is malformed, or two
+ * definitions share a name with each other or with `existing`.
+ *
+ * @param {string[]} targets - files or directories (non-recursive)
+ * @param {{ name: string }[]} [existing] - registry the plugins are added to
+ * @returns {{ name: string, fn: Function, category: string }[]}
+ */
+function loadPlugins(targets, existing = []) {
+  const seen = new Set(existing.map((b) => b.name));
+  const entries = [];
+  for (const file of targets.flatMap(pluginFiles)) {
+    const exported = require(file);
+    const defs = Array.isArray(exported) ? exported : [exported];
+    for (const def of defs) {
+      validateDefinition(def, file);
+      if (seen.has(def.name)) {
+        throw new Error(`${file}: duplicate benchmark name "${def.name}"`);
+      }
+      seen.add(def.name);
+      entries.push(definePluginBenchmark(def));
+    }
+  }
+  return entries;
+}
+
+module.exports = { KINDS, definePluginBenchmark, loadPlugins };
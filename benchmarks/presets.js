@@ -0,0 +1,284 @@
+// presets.js — Preset manifests. A preset is a folder under presets/ holding
+// the binaries to compare and a preset.json describing one or more runs:
+//
+//   {
+//     "description": "Clean vs PGO builds",
+//     "options": { "iterations": 30, "warmup": 10 },  // CLI option values
+//     "runs": [
+//       {
+//         "name": "all",
+//         "binaries": ["node_clean", "node_*pgo"], // paths, globs, variants
+//         "benchmarks": ["Startup Time"],         // optional, default all
+//         "output": "latest-all.txt",             // console report copy
+//         "json": "latest-all.json"               // optional --json
+//         // also "markdown", "csv" and "html", like the CLI options
+//       }
+//     ]
+//   }
+//
+// A manifest without "runs" is a single run described by its top-level
+// fields. Run fields override top-level ones, and run options are merged over
+// top-level options. Paths are relative to the preset folder; a binary
+// without an extension also matches "<name>.exe" on Windows, so one manifest
+// serves every OS. Report files are overwritten on every run, so the bundled
+// presets write to git-ignored latest* files. `index.js --preset
+// <name>[:<run>]` runs a preset with the host node (see node_version.js) and
+// `--list-presets` shows what is available.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const PRESETS_DIR = path.join(__dirname, "..", "presets");
+const MANIFEST = "preset.json";
+
+/** compare-related CLI options a manifest may set. */
+const PRESET_OPTION_KEYS = [
+  "alpha",
+  "exclude-outliers",
+  "iterations",
+  "warmup",
+  "adaptive",
+  "target-ci",
+  "max-iterations",
+  "max-time",
+  "bench-dir",
+  "timeout",
+  "resource-usage",
+  "throughput",
+  "control",
+  "store",
+];
+
+/** Run fields naming report files, written like the same CLI options. */
+const REPORT_FILE_KEYS = ["output", "json", "markdown", "csv", "html"];
+
+// ─── Manifest loading ─────────────────────────────────────────────────────────
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST);
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw new TypeError(`${file}: expected an object`);
+  }
+  return manifest;
+}
+
+function presetNames(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((e) => e.isDirectory())
+    .filter((e) => fs.existsSync(path.join(dir, e.name, MANIFEST)))
+    .map((e) => e.name)
+    .sort();
+}
+
+// Top-level fields merged into each run, in manifest order. Unnamed entries
+// of "runs" are named by position; a single-run manifest's run has no name.
+function manifestRuns(manifest) {
+  const { runs, options: shared = {}, description, ...defaults } = manifest;
+  if (runs === undefined) return [{ ...defaults, options: shared }];
+  if (!Array.isArray(runs) || runs.length === 0) {
+    throw new TypeError("runs must be a non-empty array");
+  }
+  return runs.map((run, i) => ({
+    ...defaults,
+    name: String(i + 1),
+    ...run,
+    options: { ...shared, ...run.options },
+  }));
+}
+
+/**
+ * Available presets, for --list-presets. A manifest that fails to parse is
+ * listed with its error instead of aborting the listing.
+ * @param {string} [dir]
+ * @returns {{ name: string, description: string, runs: { name: string|null,
+ *   binaries: string[], output: string|null }[], error: string|null }[]}
+ *   binaries are the manifest's entries (paths, globs or variant labels)
+ */
+function listPresets(dir = PRESETS_DIR) {
+  return presetNames(dir).map((name) => {
+    try {
+      const manifest = readManifest(path.join(dir, name));
+      return {
+        name,
+        description: manifest.description ?? "",
+        runs: manifestRuns(manifest).map((run) => ({
+          name: run.name ?? null,
+          binaries: (Array.isArray(run.binaries) ? run.binaries : []).map(
+            (b) => (typeof b === "string" ? b : String(b?.label ?? b?.binary)),
+          ),
+          output: run.output ?? null,
+        })),
+        error: null,
+      };
+    } catch (err) {
+      return { name, description: "", runs: [], error: err.message };
+    }
+  });
+}
+
+// ─── Binary resolution ────────────────────────────────────────────────────────
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  const flags = process.platform === "win32" ? "i" : "";
+  return new RegExp(
+    `^${escaped.replace(/\*/g, ".*").replace(/\?/g, ".")}$`,
+    flags,
+  );
+}
+
+// Absolute paths for one "binaries" string. Wildcards (* and ?) are allowed
+// in the file name only; matches are returned in name order.
+function expandBinary(entry, dir) {
+  const full = path.resolve(dir, entry);
+  const base = path.basename(full);
+  if (/[*?]/.test(base)) {
+    const parent = path.dirname(full);
+    const re = globToRegExp(base);
+    // statSync follows symlinks, as existsSync does for plain paths; a
+    // dangling link is no binary.
+    const isFile = (file) =>
+      fs.statSync(file, { throwIfNoEntry: false })?.isFile();
+    const matches = fs.existsSync(parent)
+      ? fs
+        .readdirSync(parent)
+        .filter((name) => re.test(name))
+        .map((name) => path.join(parent, name))
+        .filter(isFile)
+        .sort()
+      : [];
+    if (matches.length === 0) throw new Error(`no binary matches ${entry}`);
+    return matches;
+  }
+  if (fs.existsSync(full)) return [full];
+  if (process.platform === "win32" && !path.extname(full)) {
+    if (fs.existsSync(`${full}.exe`)) return [`${full}.exe`];
+  }
+  throw new Error(`binary not found: ${full}`);
+}
+
+// compare() targets for a run: paths for strings and globs, variants (with
+// a resolved binary) for objects.
+function resolveTargets(binaries, dir) {
+  if (!Array.isArray(binaries) || binaries.length === 0) {
+    throw new TypeError("binaries must be a non-empty array");
+  }
+  return binaries.flatMap((entry) => {
+    if (typeof entry === "string") return expandBinary(entry, dir);
+    if (entry && typeof entry.binary === "string") {
+      const [binary] = expandBinary(entry.binary, dir);
+      return [{ ...entry, binary }];
+    }
+    throw new TypeError(
+      "binaries entries must be paths or { label, binary, args, env }",
+    );
+  });
+}
+
+// Manifest options as parseArgs-style values, so the CLI validates them
+// exactly like command-line flags.
+function toCliValues(options, dir) {
+  const values = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (!PRESET_OPTION_KEYS.includes(key)) {
+      throw new TypeError(`unsupported option "${key}"`);
+    }
+    if (key === "bench-dir") {
+      const dirs = Array.isArray(value) ? value : [value];
+      values[key] = dirs.map((d) => path.resolve(dir, d));
+    } else if (key === "store") {
+      values[key] = path.resolve(dir, value);
+    } else {
+      values[key] = typeof value === "number" ? String(value) : value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Resolve `--preset <name>[:<run>]` into runs ready for the CLI. Binaries
+ * must exist and globs must match, so a broken preset fails before anything
+ * is benchmarked.
+ *
+ * @param {string} spec - preset folder name, optionally ":run name"
+ * @param {string} [dir] - folder holding the presets
+ * @returns {{ name: string, bins: (string|object)[], options: object,
+ *   benchmarks: string[]|null }[]} options are CLI option values,
+ *   report files included
+ */
+function loadPreset(spec, dir = PRESETS_DIR) {
+  const sep = spec.indexOf(":");
+  const name = sep === -1 ? spec : spec.slice(0, sep);
+  const only = sep === -1 ? null : spec.slice(sep + 1);
+  const available = presetNames(dir);
+  if (!available.includes(name)) {
+    throw new Error(
+      `Unknown preset "${name}"` +
+      ` (available: ${available.join(", ") || "none"})`,
+    );
+  }
+  const presetDir = path.join(dir, name);
+  const fail = (err, run) => {
+    throw new Error(`Preset ${run ?? name}: ${err.message}`);
+  };
+
+  let runs;
+  try {
+    runs = manifestRuns(readManifest(presetDir));
+  } catch (err) {
+    fail(err);
+  }
+  if (only !== null) {
+    runs = runs.filter((run) => run.name === only);
+    if (runs.length === 0) fail(new Error(`no run named "${only}"`));
+  }
+
+  return runs.map((run) => {
+    const runName = run.name === undefined ? name : `${name}:${run.name}`;
+    try {
+      if (
+        run.benchmarks !== undefined &&
+        !(
+          Array.isArray(run.benchmarks) &&
+          run.benchmarks.every((b) => typeof b === "string")
+        )
+      ) {
+        throw new TypeError("benchmarks must be an array of names");
+      }
+      const options = toCliValues(run.options, presetDir);
+      for (const key of REPORT_FILE_KEYS) {
+        if (run[key] !== undefined) {
+          options[key] = path.resolve(presetDir, run[key]);
+        }
+      }
+      return {
+        name: runName,
+        bins: resolveTargets(run.binaries, presetDir),
+        options,
+        benchmarks: run.benchmarks ?? null,
+      };
+    } catch (err) {
+      return fail(err, runName);
+    }
+  });
+}
+
+/**
+ * Keep the registry entries named in `names`, in registry order.
+ * Throws on a name that matches no benchmark.
+ */
+function selectBenchmarks(benchmarks, names) {
+  const known = new Set(benchmarks.map((b) => b.name));
+  const unknown = names.filter((n) => !known.has(n));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown benchmark(s): ${unknown.join(", ")}`);
+  }
+  return benchmarks.filter((b) => names.includes(b.name));
+}
+
+module.exports = { PRESETS_DIR, listPresets, loadPreset, selectBenchmarks };
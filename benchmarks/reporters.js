@@ -0,0 +1,560 @@
+// reporters.js — Output plugins for compare().
+// Each reporter is an object with optional onStart / onBenchmarkStart /
+// onBenchmarkEnd / onComplete hooks (see runner.js). The console reporter
+// prints the pairwise layout (with a Diff column) for two binaries and the
+// multi-column layout for three or more.
+
+"use strict";
+
+const fs = require("fs");
+const {
+  formatBytes,
+  pctDiff,
+  formatPValue,
+  formatCI,
+  formatValueCell,
+  formatRelativeCell,
+  formatRowName,
+  formatRuns,
+  outlierLegend,
+  noisyOutlierWarnings,
+} = require("./helpers");
+const { writeResultsFile } = require("./results");
+const { describeVariant } = require("./variants");
+const { diffBuildInfo } = require("./system");
+
+/** Header line listing the benchmarks a selection left out. */
+function describeSkipped(skipped) {
+  return `${skipped.length} benchmark(s): ${skipped.join(", ")}`;
+}
+
+/** Header line describing the iteration mode of a run. */
+function describeIterations({ iterations, warmup, adaptive }) {
+  if (!adaptive) return `${iterations} (warmup: ${warmup})`;
+  return (
+    `adaptive, until median CI width < ${adaptive.targetCI * 100}%` +
+    ` (max ${adaptive.maxIterations} rounds / ${adaptive.maxTimeMs / 1000} s;` +
+    ` warmup: ${warmup})`
+  );
+}
+
+function describeOutliers(host) {
+  return host.excludeOutliers ? "excluded from statistics" : "reported only";
+}
+
+/** Header line for an A/A control run (host.control set). */
+function describeControl(host) {
+  return `A/A copy of ${host.control}; winners within the noise are ~Tie`;
+}
+
+// Rows that take part in the win count (see results.computeSummary).
+function scoredCount(results) {
+  return results.filter((r) => !r.detail).length;
+}
+
+// ─── Failures ─────────────────────────────────────────────────────────────────
+
+/**
+ * Details for every row with failed runs: per-binary counts, reasons and a
+ * stderr excerpt. Rows of one benchmark share the same runs, so consecutive
+ * rows with identical failures are listed once.
+ */
+function printFailures(log, { binaries, results }) {
+  const groups = [];
+  for (const r of results) {
+    if (!r.failures) continue;
+    const key = JSON.stringify(r.failures);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) last.names.push(r.name);
+    else groups.push({ key, names: [r.name], failures: r.failures });
+  }
+  if (groups.length === 0) return;
+
+  log("\nFailures (rows marked FAILED have no winner):");
+  for (const { names, failures } of groups) {
+    const more = names.length > 1 ? ` (+${names.length - 1} more rows)` : "";
+    log(`  ${names[0]}${more}`);
+    failures.forEach((f, i) => {
+      if (f.failed === 0) return;
+      const reasons = Object.entries(f.reasons)
+        .map(([reason, count]) => `${reason} x${count}`)
+        .join(", ");
+      log(
+        `    ${binaries[i].name}: ${f.failed}/${f.runs} runs failed (${reasons})`,
+      );
+      for (const line of f.stderr.split("\n").filter(Boolean)) {
+        log(`      | ${line}`);
+      }
+    });
+  }
+}
+
+const BUILD_VALUE_W = 40;
+
+/** A build config value cut to BUILD_VALUE_W characters for a table cell. */
+function clipBuildValue(v) {
+  return v.length > BUILD_VALUE_W ? v.slice(0, BUILD_VALUE_W - 3) + "..." : v;
+}
+
+// process.config / versions / features keys that differ between binaries,
+// one line each, so a saved report shows what tells the builds apart.
+function printBuildDiff(log, binaries) {
+  const { compared, total, diffs } = diffBuildInfo(binaries);
+  if (compared.length < 2) return;
+  if (diffs.length === 0) {
+    log(`Build config: identical across binaries (${total} keys)\n`);
+    return;
+  }
+  log(`Build config differences (${diffs.length} of ${total} keys):`);
+  const keyW = Math.max(...diffs.map((d) => d.key.length));
+  for (const { key, values } of diffs) {
+    const cells = values.map(
+      (v, i) => `${compared[i]}=${clipBuildValue(v ?? "-")}`,
+    );
+    log(`  ${key.padEnd(keyW)}  ${cells.join("  ")}`);
+  }
+  log("");
+}
+
+// ─── A/A control ──────────────────────────────────────────────────────────────
+
+const NOISE_NAME_W = 42;
+const NOISE_COL_W = 12;
+
+const signedPct = (pct) => `${pct > 0 ? "+" : ""}${pct.toFixed(2)}%`;
+
+/** Median MDD of the rows with a noise measurement, or null. */
+function medianMDD(results) {
+  const mdds = results
+    .filter((r) => r.noise)
+    .map((r) => r.noise.mdd)
+    .sort((a, b) => a - b);
+  if (mdds.length === 0) return null;
+  const mid = Math.floor(mdds.length / 2);
+  return mdds.length % 2 ? mdds[mid] : (mdds[mid - 1] + mdds[mid]) / 2;
+}
+
+// Per-row noise of a --control run: the A/A difference between the control
+// binary and its hidden copy, and the minimum detectable difference (MDD)
+// used to downgrade winners to ~Tie (see control.js).
+function printNoiseTable(log, { host, binaries, results }) {
+  if (!host.control) return;
+  const confidence = ((1 - host.alpha) * 100).toFixed(0);
+  const verdictW = Math.max(...binaries.map((b) => b.name.length + 13));
+  const sep = "-".repeat(NOISE_NAME_W + NOISE_COL_W * 2 + verdictW + 9);
+  log(
+    `\nA/A control: ${host.control} vs a hidden copy of itself` +
+    ` (MDD: ${confidence}% bootstrap bound of the A/A median difference)`,
+  );
+  log(sep);
+  log(
+    "| " +
+    "Benchmark".padEnd(NOISE_NAME_W) +
+    "| " +
+    "A/A diff".padEnd(NOISE_COL_W) +
+    "| " +
+    "MDD".padEnd(NOISE_COL_W) +
+    "| " +
+    "Verdict".padEnd(verdictW) +
+    "|",
+  );
+  log(sep);
+  for (const r of results) {
+    const { noise } = r;
+    const verdict = noise?.downgraded ? `~Tie (was ${noise.downgraded})` : "";
+    log(
+      "| " +
+      formatRowName(r).padEnd(NOISE_NAME_W) +
+      "| " +
+      (noise ? signedPct(noise.diff) : "-").padEnd(NOISE_COL_W) +
+      "| " +
+      (noise ? `±${noise.mdd.toFixed(2)}%` : "-").padEnd(NOISE_COL_W) +
+      "| " +
+      verdict.padEnd(verdictW) +
+      "|",
+    );
+  }
+  log(sep);
+  const downgraded = results.filter((r) => r.noise?.downgraded).length;
+  const mdd = medianMDD(results);
+  log(
+    `${downgraded} winner(s) within the noise downgraded to ~Tie` +
+    (mdd === null ? "." : `; median MDD ±${mdd.toFixed(2)}%.`),
+  );
+}
+
+// ─── Geometric mean ───────────────────────────────────────────────────────────
+
+const GEOMEAN_COL_W = 32; // "-12.34% [-14.10%, -10.20%]"
+
+function formatRatioPct(ratio) {
+  const pct = (ratio - 1) * 100;
+  return `${pct > 0 ? "+" : ""}${pct.toFixed(2)}%`;
+}
+
+// Per-category geometric mean of each binary's ratio to the first binary
+// (summary.geomean), printed under both summaries. Documents from before the
+// geomean existed have none and print nothing.
+function printGeomean(log, { host, binaries, summary }) {
+  const { geomean } = summary;
+  if (!geomean || geomean.groups[0].rows === 0) return;
+  const others = binaries.slice(1).map((b) => b.name);
+  const confidence = ((1 - host.alpha) * 100).toFixed(0);
+  log(
+    `Geometric mean of ratios vs ${geomean.reference}` +
+    ` (${confidence}% bootstrap CI; negative = better, ties included):`,
+  );
+  const line = (label, rows, cells) =>
+    log(
+      `  ${label.padEnd(14)}${rows.padStart(5)}  ` +
+      cells.map((c) => c.padEnd(GEOMEAN_COL_W)).join("").trimEnd(),
+    );
+  line("Category", "Rows", others);
+  for (const g of geomean.groups) {
+    const cells = g.ratios.slice(1).map((ratio, j) => {
+      const ci = g.cis[j + 1];
+      if (!ci) return formatRatioPct(ratio);
+      const [lo, hi] = ci.map(formatRatioPct);
+      return `${formatRatioPct(ratio)} [${lo}, ${hi}]`;
+    });
+    line(g.name, String(g.rows), cells);
+  }
+  log("");
+}
+
+// ─── Pairwise layout ──────────────────────────────────────────────────────────
+
+/**
+ * Diff, p-value and CI (B - A) cells of a two-binary row. pValues/diffCIs
+ * are stored relative to the better binary, so they are re-oriented here.
+ * @returns {{ diff: string, p: number|null, ci: number[]|null }}
+ */
+function comparePair(r) {
+  const diff = r.failures ? "-" : pctDiff(r.values[0], r.values[1]);
+  const compared = r.pValues && !r.failures;
+  const p = compared ? (r.pValues[0] ?? r.pValues[1]) : null;
+  let ci = null;
+  if (compared && r.diffCIs[1]) ci = r.diffCIs[1];
+  else if (compared && r.diffCIs[0]) ci = [-r.diffCIs[0][1], -r.diffCIs[0][0]];
+  return { diff, p, ci };
+}
+
+function printPairwiseHeader(log, { host, binaries }) {
+  const [a, b] = binaries;
+  log(`=== Node.js Binary Benchmark: ${a.name} vs ${b.name} ===\n`);
+  log(`Platform: ${host.platform} ${host.arch}`);
+  log(`CPUs: ${host.cpu} (${host.cores} cores)`);
+  log(`RAM: ${formatBytes(host.ram)}`);
+  log(`Date: ${host.date}`);
+  log(`Iterations per benchmark: ${describeIterations(host)}`);
+  log(`Significance level (alpha): ${host.alpha}`);
+  log(`Outliers: ${describeOutliers(host)}`);
+  log(`Timeout: ${host.timeoutMs / 1000} s per run`);
+  if (host.control) log(`Control: ${describeControl(host)}`);
+  if (host.skipped?.length) log(`Skipped: ${describeSkipped(host.skipped)}`);
+  log("");
+
+  for (const b of binaries) {
+    log(`${b.name} binary: ${b.bin}`);
+    const flags = describeVariant(b);
+    if (flags) log(`  Flags/env: ${flags}`);
+    log(`  Node version: ${b.version}, V8: ${b.v8}`);
+  }
+  log("");
+  printBuildDiff(log, binaries);
+}
+
+function printPairwiseTable(log, { host, binaries, results }) {
+  const [NAME_A, NAME_B] = binaries.map((b) => b.name);
+  const nameColW = 42;
+  const valueColW = 30;
+  const diffColW = 12;
+  const pColW = 8;
+  const ciColW = 26;
+  const runsColW = 7;
+  const winnerColW = Math.max(10, NAME_A.length + 2, NAME_B.length + 2);
+  const sep = "-".repeat(
+    nameColW +
+    valueColW * 2 +
+    diffColW +
+    pColW +
+    ciColW +
+    runsColW +
+    winnerColW +
+    21,
+  );
+
+  log(sep);
+  log(
+    "| " +
+    "Benchmark".padEnd(nameColW) +
+    "| " +
+    NAME_A.padEnd(valueColW) +
+    "| " +
+    NAME_B.padEnd(valueColW) +
+    "| " +
+    "Diff".padEnd(diffColW) +
+    "| " +
+    "p-value".padEnd(pColW) +
+    "| " +
+    "CI (B-A)".padEnd(ciColW) +
+    "| " +
+    "Runs".padEnd(runsColW) +
+    "| " +
+    "Winner".padEnd(winnerColW) +
+    "|",
+  );
+  log(sep);
+
+  for (const r of results) {
+    const aStr = formatValueCell(r, 0);
+    const bStr = formatValueCell(r, 1);
+    const { diff, p, ci } = comparePair(r);
+    log(
+      "| " +
+      formatRowName(r).padEnd(nameColW) +
+      "| " +
+      aStr.padEnd(valueColW) +
+      "| " +
+      bStr.padEnd(valueColW) +
+      "| " +
+      diff.padEnd(diffColW) +
+      "| " +
+      formatPValue(p).padEnd(pColW) +
+      "| " +
+      formatCI(ci, r.unit).padEnd(ciColW) +
+      "| " +
+      formatRuns(r).padEnd(runsColW) +
+      "| " +
+      r.winner.padEnd(winnerColW) +
+      "|",
+    );
+  }
+  log(sep);
+  log(
+    `p-value: two-sided Mann-Whitney U on raw samples (alpha ${host.alpha}).` +
+    ` CI (B-A): ${((1 - host.alpha) * 100).toFixed(0)}% bootstrap interval for` +
+    ` median(${NAME_B}) - median(${NAME_A}).`,
+  );
+  log(outlierLegend());
+  for (const w of noisyOutlierWarnings(results, [NAME_A, NAME_B])) log(w);
+  printFailures(log, { binaries, results });
+}
+
+function printPairwiseSummary(log, doc) {
+  const { binaries, results, summary } = doc;
+  const [NAME_A, NAME_B] = binaries.map((b) => b.name);
+  const { wins, ties, failed, advantage, share, overallWinner } = summary;
+  const failedNote = failed ? `, Failed ${failed}` : "";
+  log(
+    `\nWin count  : ${NAME_A} ${wins[0]}, ${NAME_B} ${wins[1]}, Ties ${ties}${failedNote} (out of ${scoredCount(results)} benchmarks)`,
+  );
+  log(
+    `Pct advantage: ${NAME_A} ${advantage[0].toFixed(2)}% (${share[0].toFixed(1)}%), ${NAME_B} ${advantage[1].toFixed(2)}% (${share[1].toFixed(1)}%)`,
+  );
+  log(`Overall winner by weighted advantage: ${overallWinner}\n`);
+  printGeomean(log, doc);
+}
+
+// ─── Multi-binary layout ──────────────────────────────────────────────────────
+
+// Column widths — value column fits "XXXX.XX ms ±XX.XX ms [m/s] (+XX.XX%)"
+const BENCH_COL_W = 42;
+const VALUE_COL_W = 40;
+const RUNS_COL_W = 7;
+const SIG_COL_W = 38; // "p=0.012 [+1234.56 ms, +2345.67 ms]"
+
+function printMultiHeader(log, { host, binaries }) {
+  log(
+    `=== Node.js Binary Benchmark: ${binaries.map((b) => b.name).join(" vs ")} ===\n`,
+  );
+  log(`Platform : ${host.platform} ${host.arch}`);
+  log(`CPUs     : ${host.cpu} (${host.cores} cores)`);
+  log(`RAM      : ${formatBytes(host.ram)}`);
+  log(`Date     : ${host.date}`);
+  log(`Binaries : ${binaries.length}`);
+  log(`Iterations per benchmark: ${describeIterations(host)}`);
+  log(`Alpha    : ${host.alpha}`);
+  log(`Outliers : ${describeOutliers(host)}`);
+  log(`Timeout  : ${host.timeoutMs / 1000} s per run`);
+  if (host.control) log(`Control  : ${describeControl(host)}`);
+  if (host.skipped?.length) log(`Skipped  : ${describeSkipped(host.skipped)}`);
+  log("");
+
+  for (const b of binaries) {
+    log(`${b.name} : ${b.bin}`);
+    const flags = describeVariant(b);
+    if (flags) log(`  Flags/env: ${flags}`);
+    log(`  Node: ${b.version}, V8: ${b.v8}`);
+  }
+  log("");
+  printBuildDiff(log, binaries);
+}
+
+function printMultiTable(log, { binaries, results }) {
+  const NAMES = binaries.map((b) => b.name);
+  const N = NAMES.length;
+  const maxNameLen = Math.max(8, ...NAMES.map((n) => n.length + 2));
+  const winnerColW = Math.max(8, maxNameLen);
+  const totalW =
+    BENCH_COL_W + N * (VALUE_COL_W + 2) + RUNS_COL_W + 2 + winnerColW + 4;
+  const sep = "-".repeat(totalW);
+
+  log(sep);
+  let header = "| " + "Benchmark".padEnd(BENCH_COL_W);
+  for (const name of NAMES) header += "| " + name.padEnd(VALUE_COL_W);
+  header += "| " + "Runs".padEnd(RUNS_COL_W);
+  header += "| " + "Winner".padEnd(winnerColW) + "|";
+  log(header);
+  log(sep);
+
+  for (const r of results) {
+    let row = "| " + formatRowName(r).padEnd(BENCH_COL_W);
+    for (let i = 0; i < N; i++) {
+      row += "| " + formatRelativeCell(r, i).padEnd(VALUE_COL_W);
+    }
+    row += "| " + formatRuns(r).padEnd(RUNS_COL_W);
+    row += "| " + r.winner.padEnd(winnerColW) + "|";
+    log(row);
+  }
+  log(sep);
+  log(outlierLegend());
+  for (const w of noisyOutlierWarnings(results, NAMES)) log(w);
+  printFailures(log, { binaries, results });
+}
+
+// Per-cell significance of each binary against the row's best binary.
+function printSignificanceTable(log, { host, binaries, results }) {
+  const NAMES = binaries.map((b) => b.name);
+  const N = NAMES.length;
+  const totalW = BENCH_COL_W + N * (SIG_COL_W + 2) + 3;
+  const sep = "-".repeat(totalW);
+  const { alpha } = host;
+
+  log(
+    `\nSignificance vs best: Mann-Whitney U p-value and` +
+    ` ${((1 - alpha) * 100).toFixed(0)}% bootstrap CI of the median difference (alpha ${alpha})`,
+  );
+  log(sep);
+  let header = "| " + "Benchmark".padEnd(BENCH_COL_W);
+  for (const name of NAMES) header += "| " + name.padEnd(SIG_COL_W);
+  log(header + "|");
+  log(sep);
+
+  for (const r of results) {
+    if (!r.pValues || r.failures) continue; // see the Failures list
+    let row = "| " + r.name.padEnd(BENCH_COL_W);
+    for (let i = 0; i < N; i++) {
+      const cell =
+        r.pValues[i] === null
+          ? "best"
+          : `p=${formatPValue(r.pValues[i])} ${formatCI(r.diffCIs[i], r.unit)}`;
+      row += "| " + cell.padEnd(SIG_COL_W);
+    }
+    log(row + "|");
+  }
+  log(sep);
+}
+
+function printMultiSummary(log, doc) {
+  const { binaries, results, summary } = doc;
+  const NAMES = binaries.map((b) => b.name);
+  const { wins, ties, failed, advantage, share, overallWinner } = summary;
+  const failedNote = failed ? `, ${failed} failed` : "";
+  log(
+    `\nWin count (${scoredCount(results)} benchmarks, ${ties} statistical ties${failedNote}):`,
+  );
+  for (let i = 0; i < NAMES.length; i++) {
+    log(
+      `  ${NAMES[i].padEnd(22)}: ${String(wins[i]).padStart(3)} wins,` +
+      ` ${advantage[i].toFixed(2).padStart(8)}% weighted advantage (${share[i].toFixed(1)}% share)`,
+    );
+  }
+  log(`\nOverall winner by weighted advantage: ${overallWinner}\n`);
+  printGeomean(log, doc);
+}
+
+// ─── Reporters ────────────────────────────────────────────────────────────────
+
+/**
+ * Human-readable progress and result tables.
+ * @param {object} [opts]
+ * @param {"auto"|"pairwise"|"multi"} [opts.layout] - auto = pairwise for 2 binaries
+ * @param {{ write(s: string): void }} [opts.out] - defaults to process.stdout
+ */
+function consoleReporter({ layout = "auto", out = process.stdout } = {}) {
+  const log = (line = "") => out.write(line + "\n");
+  const pairwise = (binaries) =>
+    layout === "pairwise" || (layout === "auto" && binaries.length === 2);
+
+  return {
+    onStart(header) {
+      if (pairwise(header.binaries)) printPairwiseHeader(log, header);
+      else printMultiHeader(log, header);
+    },
+    onBenchmarkStart(bench) {
+      out.write(`Running: ${bench.name}...`);
+    },
+    onBenchmarkEnd() {
+      log(" done");
+    },
+    onComplete(doc) {
+      log("\n");
+      if (pairwise(doc.binaries)) {
+        printPairwiseTable(log, doc);
+        printNoiseTable(log, doc);
+        printPairwiseSummary(log, doc);
+      } else {
+        printMultiTable(log, doc);
+        printSignificanceTable(log, doc);
+        printNoiseTable(log, doc);
+        printMultiSummary(log, doc);
+      }
+    },
+  };
+}
+
+/**
+ * Write the console report, progress lines included, to a text file once the
+ * run completes (what `node index.js ... > results.txt` would capture).
+ * @param {string} file
+ * @param {object} [opts] - consoleReporter() options other than `out`
+ */
+function textReporter(file, opts = {}) {
+  const chunks = [];
+  const reporter = consoleReporter({
+    ...opts,
+    out: { write: (s) => chunks.push(s) },
+  });
+  return {
+    ...reporter,
+    onComplete(doc) {
+      reporter.onComplete(doc);
+      fs.writeFileSync(file, chunks.join(""));
+    },
+  };
+}
+
+/** Write the results document, raw samples included, to `file` as JSON. */
+function jsonReporter(file) {
+  return {
+    onComplete(doc) {
+      writeResultsFile(file, doc);
+    },
+  };
+}
+
+module.exports = {
+  describeIterations,
+  describeOutliers,
+  describeSkipped,
+  describeControl,
+  clipBuildValue,
+  medianMDD,
+  scoredCount,
+  formatRatioPct,
+  comparePair,
+  consoleReporter,
+  textReporter,
+  jsonReporter,
+};
@@ -0,0 +1,9 @@
+// resource_preload.js — Loaded with -r into benchmark children when resource
+// usage is collected. Writes process.resourceUsage() as JSON to fd 3 (a pipe
+// opened by runner.runTimed) as the child exits.
+
+"use strict";
+
+process.on("exit", () => {
+  require("fs").writeSync(3, JSON.stringify(process.resourceUsage()));
+});
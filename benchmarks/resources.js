@@ -0,0 +1,96 @@
+// resources.js — Per-run process.resourceUsage() collection (--resource-usage).
+// Children are started with -r resource_preload.js, which reports the child's
+// own resource usage over an extra stdio pipe as it exits. compare() turns the
+// usage of every measured run into extra rows after each benchmark. The
+// preload runs inside the timed children, so its load and report cost is in
+// every timed row of such a run; the option is off by default for that
+// reason.
+
+"use strict";
+
+const path = require("path");
+const {
+  makeBytesResult,
+  makeDurationResult,
+  makeCountResult,
+} = require("./helpers");
+
+const PRELOAD = path.join(__dirname, "resource_preload.js");
+
+/** Arguments prepended to every child's argv. */
+const RESOURCE_USAGE_ARGS = ["-r", PRELOAD];
+
+/** stdio for spawnSync: the usual three pipes plus fd 3 for the report. */
+const RESOURCE_USAGE_STDIO = ["pipe", "pipe", "pipe", "pipe"];
+
+/** The child's resourceUsage() report from a spawnSync result, or null. */
+function parseResourceUsage(result) {
+  const report = result.output && result.output[3];
+  if (!report) return null;
+  try {
+    return JSON.parse(report);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extra rows derived from resourceUsage(). maxRSS is in KiB and CPU times in
+ * microseconds; `get` converts to the row's unit.
+ */
+const USAGE_ROWS = [
+  { label: "peak RSS", build: makeBytesResult, get: (u) => u.maxRSS * 1024 },
+  {
+    label: "user CPU",
+    build: makeDurationResult,
+    get: (u) => u.userCPUTime / 1000,
+  },
+  {
+    label: "system CPU",
+    build: makeDurationResult,
+    get: (u) => u.systemCPUTime / 1000,
+  },
+  {
+    label: "page faults",
+    build: makeCountResult,
+    get: (u) => u.minorPageFault + u.majorPageFault,
+  },
+  {
+    label: "ctx switches (vol)",
+    build: makeCountResult,
+    get: (u) => u.voluntaryContextSwitches,
+  },
+  {
+    label: "ctx switches (invol)",
+    build: makeCountResult,
+    get: (u) => u.involuntaryContextSwitches,
+  },
+];
+
+/**
+ * Build the resource usage rows for one benchmark.
+ * @param {string} prefix - row name prefix (the benchmark's registry name)
+ * @param {string[]} names - binary name for each index
+ * @param {object[][]} usage - outer index = binary, inner = one
+ *   resourceUsage() report per measured run (ctx.usage)
+ * @returns {BenchResult[]} detail rows (see results.computeSummary); empty
+ *   when the benchmark spawned no children
+ */
+function makeResourceResults(prefix, names, usage) {
+  if (usage.every((runs) => runs.length === 0)) return [];
+  return USAGE_ROWS.map(({ label, build, get }) => ({
+    ...build(
+      `${prefix}: ${label}`,
+      names,
+      usage.map((runs) => runs.map(get)),
+    ),
+    detail: true,
+  }));
+}
+
+module.exports = {
+  RESOURCE_USAGE_ARGS,
+  RESOURCE_USAGE_STDIO,
+  parseResourceUsage,
+  makeResourceResults,
+};
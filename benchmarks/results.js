@@ -0,0 +1,257 @@
+// results.js — Machine-readable results documents.
+// compare() assembles every run into one of these so it can be archived and
+// re-analysed later without re-running the benchmarks.
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const {
+  median,
+  classifyOutliers,
+  getStatsOptions,
+  resample,
+} = require("./helpers");
+
+/** Bumped whenever the document layout changes incompatibly. */
+const RESULTS_FORMAT_VERSION = 1;
+
+/** Bootstrap replicates for the geometric-mean confidence intervals. */
+const GEOMEAN_RESAMPLES = 1000;
+
+/**
+ * Collect the host description printed at the top of every report.
+ * @param {{ ITERATIONS: number, WARMUP: number, ADAPTIVE: object|null,
+ *   TIMEOUT_MS: number, RESOURCE_USAGE: boolean, THROUGHPUT: boolean }} ctx
+ */
+function collectHostInfo(ctx) {
+  return {
+    platform: os.platform(),
+    arch: os.arch(),
+    cpu: os.cpus()[0].model,
+    cores: os.cpus().length,
+    ram: os.totalmem(),
+    date: new Date().toISOString(),
+    iterations: ctx.ITERATIONS,
+    warmup: ctx.WARMUP,
+    adaptive: ctx.ADAPTIVE,
+    alpha: getStatsOptions().alpha,
+    excludeOutliers: getStatsOptions().excludeOutliers,
+    timeoutMs: ctx.TIMEOUT_MS,
+    resourceUsage: Boolean(ctx.RESOURCE_USAGE),
+    throughput: Boolean(ctx.THROUGHPUT),
+  };
+}
+
+/**
+ * Win counts and weighted percentage advantage per binary. Wins are weighted
+ * by the magnitude of the percentage difference, so a 10% gap counts 10x
+ * more than a 1% gap. Rows where a binary failed (winner "FAILED") count as
+ * neither a win nor a tie. Detail rows (`detail: true`, e.g. section sizes or
+ * resource usage) break another row down and are left out entirely, so they
+ * don't count the same difference twice.
+ *
+ * @param {BenchResult[]} results
+ * @param {string[]} names
+ * @returns {{ wins: number[], ties: number, failed: number,
+ *   advantage: number[], share: number[], overallWinner: string }}
+ */
+function computeSummary(results, names) {
+  const N = names.length;
+  const wins = Array(N).fill(0);
+  const advantage = Array(N).fill(0);
+  let ties = 0;
+  let failed = 0;
+  for (const r of results) {
+    if (r.detail) continue;
+    if (r.winner === "FAILED") {
+      failed++;
+      continue;
+    }
+    const winnerIdx = names.indexOf(r.winner);
+    if (winnerIdx === -1) {
+      ties++;
+      continue;
+    } // '~Tie' or 'Tie'
+    wins[winnerIdx]++;
+    if (N === 2) {
+      // Pairwise reports have always measured the gap relative to the first
+      // binary; keep that so they stay comparable with older runs.
+      const base = r.values[0];
+      if (base > 0)
+        advantage[winnerIdx] += Math.abs((r.values[1] - base) / base) * 100;
+      continue;
+    }
+    // How far the winner beat every loser.
+    const best = r.values[winnerIdx];
+    if (best > 0) {
+      for (let i = 0; i < N; i++) {
+        if (i !== winnerIdx)
+          advantage[winnerIdx] += Math.abs((r.values[i] - best) / best) * 100;
+      }
+    }
+  }
+
+  const total = advantage.reduce((a, b) => a + b, 0);
+  const share = advantage.map((a) => (total > 0 ? (a / total) * 100 : 100 / N));
+  const top = Math.max(...advantage);
+  const leaders = names.filter((_, i) => advantage[i] === top);
+  return {
+    wins,
+    ties,
+    failed,
+    advantage,
+    share,
+    overallWinner: leaders.length === 1 ? leaders[0] : "Tie",
+  };
+}
+
+// Rows that enter the geometric mean: scored, no failures, and a positive
+// value for every binary so every ratio (and its log) is defined.
+function geomeanRows(results) {
+  return results.filter(
+    (r) =>
+      !r.detail &&
+      r.winner !== "FAILED" &&
+      r.values.every((v) => Number.isFinite(v) && v > 0),
+  );
+}
+
+// log(value_i / value_ref), oriented so that negative is better for binary i.
+function logRatios(values, lowerIsBetter) {
+  const sign = lowerIsBetter === false ? -1 : 1;
+  return values.map((v) => sign * Math.log(v / values[0]));
+}
+
+/**
+ * Geometric mean of each binary's per-row ratio to the first binary, overall
+ * and per category. Ratios are oriented so that below 1 is better (for
+ * higher-is-better rows the ratio is inverted), and every scored row counts,
+ * ties included, so one large swing can't outweigh a consistent small gain.
+ * Confidence intervals come from a percentile bootstrap that resamples each
+ * binary's raw samples per row (rows without samples, like Binary Size, are
+ * fixed).
+ *
+ * @param {BenchResult[]} results - rows with a `category` (see compare())
+ * @param {string[]} names
+ * @param {{ alpha?: number, resamples?: number }} [opts]
+ * @returns {{ reference: string, groups: { name: string, rows: number,
+ *   ratios: number[], cis: ([number, number]|null)[] }[] }} group "overall"
+ *   first, then categories in order of appearance; ratio 0.9 = 10% better
+ *   than the reference, whose own entry is 1 with a null CI
+ */
+function computeGeomean(
+  results,
+  names,
+  { alpha = getStatsOptions().alpha, resamples = GEOMEAN_RESAMPLES } = {},
+) {
+  const N = names.length;
+  const rows = geomeanRows(results);
+  const groupNames = [
+    "overall",
+    ...new Set(rows.map((r) => r.category ?? "uncategorized")),
+  ];
+  const members = groupNames.map((g) =>
+    rows.filter(
+      (r) => g === "overall" || (r.category ?? "uncategorized") === g,
+    ),
+  );
+
+  // Sum of log ratios per group and binary for one set of row values.
+  const groupLogMeans = (valuesByRow) =>
+    members.map((groupRows) =>
+      Array.from({ length: N }, (_, i) => {
+        let sum = 0;
+        for (const r of groupRows) sum += valuesByRow.get(r)[i];
+        return groupRows.length ? sum / groupRows.length : 0;
+      }),
+    );
+
+  const point = groupLogMeans(
+    new Map(rows.map((r) => [r, logRatios(r.values, r.lowerIsBetter)])),
+  );
+
+  const { excludeOutliers } = getStatsOptions();
+  const pools = new Map(
+    rows.map((r) => [
+      r,
+      r.samples?.every((s) => s.length > 0)
+        ? r.samples.map((s) =>
+          excludeOutliers ? classifyOutliers(s).kept : s,
+        )
+        : null,
+    ]),
+  );
+  const replicates = Array.from({ length: resamples }, () =>
+    groupLogMeans(
+      new Map(
+        rows.map((r) => {
+          const pool = pools.get(r);
+          const values = pool
+            ? pool.map((s) => median(resample(s)))
+            : r.values;
+          return [r, logRatios(values, r.lowerIsBetter)];
+        }),
+      ),
+    ),
+  );
+
+  const groups = groupNames.map((name, g) => ({
+    name,
+    rows: members[g].length,
+    ratios: point[g].map(Math.exp),
+    cis: point[g].map((_, i) => {
+      if (i === 0 || members[g].length === 0) return null;
+      const sorted = replicates.map((rep) => rep[g][i]).sort((a, b) => a - b);
+      return [
+        Math.exp(sorted[Math.floor((alpha / 2) * resamples)]),
+        Math.exp(sorted[Math.ceil((1 - alpha / 2) * resamples) - 1]),
+      ];
+    }),
+  }));
+  return { reference: names[0], groups };
+}
+
+/**
+ * Assemble a versioned results document.
+ * @param {object} host - from collectHostInfo()
+ * @param {{ name: string, bin: string, args: string[], env: object,
+ *   version: string, v8: string }[]} binaries - from benchVersionInfo()
+ * @param {BenchResult[]} results - every row of the table, with raw samples
+ */
+function buildResultsDocument(host, binaries, results) {
+  const names = binaries.map((b) => b.name);
+  const summary = {
+    ...computeSummary(results, names),
+    geomean: computeGeomean(results, names),
+  };
+  return { version: RESULTS_FORMAT_VERSION, host, binaries, results, summary };
+}
+
+function writeResultsFile(file, doc) {
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+}
+
+/**
+ * Load a results document written by writeResultsFile().
+ * Throws if the file is not a results document this version understands.
+ */
+function readResultsFile(file) {
+  const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (doc.version !== RESULTS_FORMAT_VERSION || !Array.isArray(doc.results)) {
+    throw new Error(
+      `${file}: unsupported results format (version ${doc.version}, expected ${RESULTS_FORMAT_VERSION})`,
+    );
+  }
+  return doc;
+}
+
+module.exports = {
+  RESULTS_FORMAT_VERSION,
+  collectHostInfo,
+  computeSummary,
+  computeGeomean,
+  buildResultsDocument,
+  writeResultsFile,
+  readResultsFile,
+};
@@ -0,0 +1,274 @@
+// runner.js — Programmatic benchmark runner.
+// compare() runs benchmarks across two or more binaries in randomized order
+// and resolves to the same results document that --json writes. The CLI
+// scripts are thin wrappers around it; build scripts can call it directly:
+//
+//   const { compare } = require("./benchmarks/runner");
+//   const doc = await compare({ binaries: ["./node_a", "./node_b"] });
+
+"use strict";
+
+const { spawnSync } = require("child_process");
+
+const {
+  DEFAULT_ALPHA,
+  configureStats,
+  createFailureTally,
+  applyFailures,
+} = require("./helpers");
+const { collectHostInfo, buildResultsDocument } = require("./results");
+const {
+  RESOURCE_USAGE_ARGS,
+  RESOURCE_USAGE_STDIO,
+  parseResourceUsage,
+  makeResourceResults,
+} = require("./resources");
+const { getBinaryName, resolveVariants } = require("./variants");
+const { findControl, controlVariant, splitControl } = require("./control");
+const { benchmarks: defaultBenchmarks, benchVersionInfo } = require(".");
+
+const DEFAULT_ITERATIONS = 30; // per benchmark
+const DEFAULT_WARMUP = 10;
+const DEFAULT_TIMEOUT_MS = 60000; // per child process
+
+// ─── Process spawning ─────────────────────────────────────────────────────────
+
+// Why a child run failed, or null if it exited cleanly. Large exit codes are
+// Windows NTSTATUS values (0xC0000005 is an access violation), shown in hex.
+function describeFailure(result, timeoutMs) {
+  if (result.error) {
+    if (result.error.code === "ETIMEDOUT") {
+      return `timeout ${timeoutMs / 1000} s`;
+    }
+    return `spawn ${result.error.code || result.error.message}`;
+  }
+  if (result.signal) return result.signal;
+  if (result.status !== 0) {
+    const code =
+      result.status > 255
+        ? "0x" + (result.status >>> 0).toString(16).toUpperCase()
+        : result.status;
+    return `exit ${code}`;
+  }
+  return null;
+}
+
+/**
+ * Run one child and time it. `options` are spawnSync options, plus
+ * `execArgv` (exec args placed before `binArgs`, e.g. a variant's V8 flags)
+ * and `resourceUsage: true` to preload the resourceUsage() reporter (see
+ * resources.js) and return its report as `resourceUsage`.
+ */
+function runTimed(
+  bin,
+  binArgs,
+  { execArgv = [], resourceUsage = false, ...options } = {},
+) {
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  const args = [
+    ...execArgv,
+    ...(resourceUsage ? RESOURCE_USAGE_ARGS : []),
+    ...binArgs,
+  ];
+  const start = process.hrtime.bigint();
+  const result = spawnSync(bin, args, {
+    encoding: "utf8",
+    windowsHide: true,
+    ...(resourceUsage && { stdio: RESOURCE_USAGE_STDIO }),
+    ...options,
+    timeout,
+  });
+  const end = process.hrtime.bigint();
+  return {
+    durationMs: Number(end - start) / 1e6,
+    stdout: result.stdout || "",
+    stderr: result.stderr || "",
+    status: result.status,
+    signal: result.signal,
+    failure: describeFailure(result, timeout),
+    resourceUsage: resourceUsage ? parseResourceUsage(result) : null,
+  };
+}
+
+/**
+ * Build a runAll(binArgs) for the given binaries: paths, or resolved
+ * variants ({ bin, args, env }, see variants.js) whose exec args and
+ * environment are injected into every spawn. Each call runs every binary
+ * once, in a fresh randomized (Fisher-Yates) order to minimize cache and
+ * scheduling bias, and returns results indexed by binary. `defaults` are
+ * runTimed() options for every run (e.g. { timeout, resourceUsage }).
+ */
+function createRunAll(bins, defaults = {}) {
+  const N = bins.length;
+  const spawns = bins.map((b) =>
+    typeof b === "string"
+      ? { bin: b, options: {} }
+      : {
+        bin: b.bin,
+        options: {
+          execArgv: b.args,
+          ...(Object.keys(b.env).length > 0 && {
+            env: { ...process.env, ...b.env },
+          }),
+        },
+      },
+  );
+  return function runAllRandomized(binArgs, overrides = {}) {
+    const order = Array.from({ length: N }, (_, i) => i);
+    for (let i = N - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const results = new Array(N);
+    for (const idx of order) {
+      const { bin, options } = spawns[idx];
+      results[idx] = runTimed(bin, binArgs, {
+        ...defaults,
+        ...options,
+        ...overrides,
+      });
+    }
+    return results;
+  };
+}
+
+// ─── compare() ────────────────────────────────────────────────────────────────
+
+async function emit(reporters, hook, ...args) {
+  for (const reporter of reporters) {
+    if (typeof reporter[hook] === "function") await reporter[hook](...args);
+  }
+}
+
+/**
+ * Run benchmarks across binaries and return a structured results document.
+ *
+ * Reporters are plain objects with any of these optional (possibly async)
+ * hooks, called in order:
+ *   onStart({ host, binaries })       — before the first benchmark
+ *   onBenchmarkStart(bench)           — bench = { name, fn }
+ *   onBenchmarkEnd(bench, results)    — the rows that benchmark produced
+ *   onComplete(doc)                   — the final results document
+ *
+ * Runs that crash, time out, exit non-zero or print unparseable output are
+ * tallied per binary; every row of that benchmark then carries `failures`
+ * and has the winner "FAILED" (see helpers.applyFailures), and
+ * doc.summary.failed counts those rows.
+ *
+ * Statistics settings (alpha, excludeOutliers) are process-wide; concurrent
+ * compare() calls must use the same values.
+ *
+ * @param {object} opts
+ * @param {(string|{ label?: string, binary: string, args?: string[],
+ *   env?: object })[]} opts.binaries - two or more Node.js binary paths or
+ *   variants (see variants.js); labels name them in every table
+ * @param {{ name: string, fn: Function }[]} [opts.benchmarks] - defaults to the full registry
+ * @param {number} [opts.iterations] - measured rounds per benchmark
+ * @param {number} [opts.warmup] - unmeasured rounds per benchmark
+ * @param {{ targetCI: number, maxIterations: number, maxTimeMs: number }|null} [opts.adaptive]
+ * @param {number} [opts.alpha] - significance level
+ * @param {boolean} [opts.excludeOutliers]
+ * @param {number} [opts.timeoutMs] - per child process; a run that takes
+ *   longer is killed and counted as a failure
+ * @param {boolean} [opts.resourceUsage] - add peak RSS, CPU time, page fault
+ *   and context switch rows per benchmark from each child's resourceUsage()
+ * @param {boolean} [opts.throughput] - report fixed-work CPU, I/O and crypto
+ *   benchmarks as ops/s or bytes/s instead of elapsed ms
+ * @param {string[]} [opts.skipped] - names of benchmarks left out by a
+ *   selection, recorded in the header (host.skipped) for the report
+ * @param {string|null} [opts.control] - label or path of a binary to run a
+ *   hidden duplicate of in every round (see control.js); each row then gets
+ *   `noise` and winners within the noise become ~Tie
+ * @param {object[]} [opts.reporters]
+ * @returns {Promise<object>} results document (see results.js)
+ */
+async function compare({
+  binaries,
+  benchmarks = defaultBenchmarks,
+  iterations = DEFAULT_ITERATIONS,
+  warmup = DEFAULT_WARMUP,
+  adaptive = null,
+  alpha = DEFAULT_ALPHA,
+  excludeOutliers = false,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  resourceUsage = false,
+  throughput = false,
+  skipped = [],
+  control = null,
+  reporters = [],
+} = {}) {
+  if (!Array.isArray(binaries) || binaries.length < 2) {
+    throw new TypeError("compare() needs at least two binaries");
+  }
+  const VARIANTS = resolveVariants(binaries);
+  const NAMES = VARIANTS.map((v) => v.label);
+  configureStats({ alpha, excludeOutliers });
+
+  // Benchmarks see the control as one more binary at the end; its column is
+  // split off every row before reporters get it.
+  const controlIdx = control === null ? -1 : findControl(VARIANTS, control);
+  const TARGETS =
+    controlIdx === -1
+      ? VARIANTS
+      : [...VARIANTS, controlVariant(VARIANTS[controlIdx])];
+
+  const ctx = {
+    runAll: createRunAll(TARGETS, { timeout: timeoutMs, resourceUsage }),
+    BINS: TARGETS.map((v) => v.bin),
+    NAMES: TARGETS.map((v) => v.label),
+    VARIANTS: TARGETS,
+    N: TARGETS.length,
+    WARMUP: warmup,
+    ITERATIONS: iterations,
+    ADAPTIVE: adaptive,
+    TIMEOUT_MS: timeoutMs,
+    RESOURCE_USAGE: resourceUsage,
+    THROUGHPUT: throughput,
+    failures: null,
+    usage: null,
+  };
+
+  const host = {
+    ...collectHostInfo(ctx),
+    skipped,
+    control: controlIdx === -1 ? null : NAMES[controlIdx],
+  };
+  const binInfo = benchVersionInfo({ ...ctx, VARIANTS });
+  await emit(reporters, "onStart", { host, binaries: binInfo });
+
+  const results = [];
+  for (const bench of benchmarks) {
+    await emit(reporters, "onBenchmarkStart", bench);
+    ctx.failures = createFailureTally(ctx.N);
+    ctx.usage = resourceUsage ? ctx.NAMES.map(() => []) : null;
+    const result = bench.fn(ctx);
+    const rows = Array.isArray(result) ? [...result] : [result];
+    if (ctx.usage) {
+      rows.push(...makeResourceResults(bench.name, ctx.NAMES, ctx.usage));
+    }
+    if (controlIdx !== -1) {
+      const failed = ctx.failures.pop().failed > 0;
+      for (const row of rows) splitControl(row, controlIdx, NAMES, { failed });
+    }
+    for (const row of rows) {
+      applyFailures(row, ctx.failures);
+      row.category = bench.category ?? null;
+    }
+    results.push(...rows);
+    await emit(reporters, "onBenchmarkEnd", bench, rows);
+  }
+
+  const doc = buildResultsDocument(host, binInfo, results);
+  await emit(reporters, "onComplete", doc);
+  return doc;
+}
+
+module.exports = {
+  DEFAULT_ITERATIONS,
+  DEFAULT_WARMUP,
+  DEFAULT_TIMEOUT_MS,
+  getBinaryName,
+  runTimed,
+  createRunAll,
+  compare,
+};
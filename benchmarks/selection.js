@@ -0,0 +1,72 @@
+// selection.js — Choosing which registry entries run. A name pattern is a
+// case-insensitive substring of the benchmark name, or a whole-name glob when
+// it contains * or ?. Categories are listed in index.js (CATEGORIES).
+
+"use strict";
+
+const { CATEGORIES } = require(".");
+
+function nameMatcher(pattern) {
+  const p = pattern.toLowerCase();
+  if (!/[*?]/.test(p)) return (name) => name.toLowerCase().includes(p);
+  const re = new RegExp(
+    "^" +
+      p
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".") +
+      "$",
+  );
+  return (name) => re.test(name.toLowerCase());
+}
+
+// Categories from repeatable, comma-separated option values.
+function parseCategories(values = []) {
+  const cats = values.flatMap((v) => v.split(",")).map((c) => c.trim());
+  const unknown = cats.filter((c) => !CATEGORIES.includes(c));
+  if (unknown.length > 0) {
+    throw new RangeError(
+      `Unknown category ${unknown.join(", ")}` +
+      ` (expected ${CATEGORIES.join(", ")})`,
+    );
+  }
+  return cats;
+}
+
+/**
+ * Select benchmarks by name pattern and category. With no `filter` or
+ * `category`, everything is included; `exclude` and `excludeCategory` then
+ * remove entries. Throws a RangeError on an unknown category or when nothing
+ * is left to run.
+ *
+ * @param {{ name: string, category: string }[]} benchmarks
+ * @param {{ filter?: string[], exclude?: string[], category?: string[],
+ *   excludeCategory?: string[] }} criteria - categories may be
+ *   comma-separated
+ * @returns {{ selected: object[], skipped: object[] }} both in registry order
+ */
+function filterBenchmarks(benchmarks, criteria = {}) {
+  const include = (criteria.filter ?? []).map(nameMatcher);
+  const exclude = (criteria.exclude ?? []).map(nameMatcher);
+  const cats = parseCategories(criteria.category);
+  const skipCats = parseCategories(criteria.excludeCategory);
+  const everything = include.length === 0 && cats.length === 0;
+
+  const selected = [];
+  const skipped = [];
+  for (const b of benchmarks) {
+    const included =
+      everything ||
+      include.some((m) => m(b.name)) ||
+      cats.includes(b.category);
+    const excluded =
+      exclude.some((m) => m(b.name)) || skipCats.includes(b.category);
+    (included && !excluded ? selected : skipped).push(b);
+  }
+  if (selected.length === 0) {
+    throw new RangeError("No benchmarks match the selection");
+  }
+  return { selected, skipped };
+}
+
+module.exports = { filterBenchmarks };
@@ -1,48 +1,110 @@
 // startup.js — Node.js process startup and module loading benchmarks.
 // Each exported function accepts a ctx object:
-//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
 
 "use strict";
 
-const { makeDurationResult } = require("./helpers");
+const {
+  collectSamples,
+  parseStdoutJSON,
+  makeDurationResult,
+} = require("./helpers");
 
 function benchStartupTime(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
-  const times = Array.from({ length: N }, () => []);
-
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", "0"]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", "0"]).forEach((r, idx) => times[idx].push(r.durationMs));
-  }
+  const { NAMES } = ctx;
+  const times = collectSamples(ctx, ["-e", "0"]);
   return makeDurationResult('Startup Time (node -e "0")', NAMES, times);
 }
 
 function benchRequireFS(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
+  const { NAMES } = ctx;
   const code = `const fs = require('fs'); process.exit(0);`;
-  const times = Array.from({ length: N }, () => []);
-
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => times[idx].push(r.durationMs));
-  }
+  const times = collectSamples(ctx, ["-e", code]);
   return makeDurationResult('require("fs") + exit', NAMES, times);
 }
 
 function benchRequireHeavy(ctx) {
-  const { runAll, NAMES, N, WARMUP, ITERATIONS } = ctx;
+  const { NAMES } = ctx;
   const code = `
     require('http'); require('https'); require('crypto'); require('fs');
     require('path'); require('os'); require('url'); require('stream');
     require('zlib'); require('events'); process.exit(0);
   `;
-  const times = Array.from({ length: N }, () => []);
+  const times = collectSamples(ctx, ["-e", code]);
+  return makeDurationResult("Require 10 core modules", NAMES, times);
+}
 
-  for (let i = 0; i < WARMUP; i++) runAll(["-e", code]);
-  for (let i = 0; i < ITERATIONS; i++) {
-    runAll(["-e", code]).forEach((r, idx) => times[idx].push(r.durationMs));
+// Consecutive performance.nodeTiming milestones (ms since the child's time
+// origin); each phase runs from the previous milestone to `until`.
+const STARTUP_PHASES = [
+  { until: "nodeStart", label: "process init" },
+  { until: "v8Start", label: "node init" },
+  { until: "environment", label: "V8 + isolate init" },
+  { until: "bootstrapComplete", label: "bootstrap" },
+  { until: "loopStart", label: "main script" },
+  { until: "firstTurn", label: "first loop turn" },
+];
+
+function benchStartupPhases(ctx) {
+  const { NAMES } = ctx;
+  // Report from the first loop turn, once loopStart is set. `firstTurn` is
+  // the last moment the child measures; what the parent measures beyond it
+  // is exec/dynamic loading before the time origin, plus the rest of the
+  // loop and teardown up to process exit.
+  const code = `
+    setImmediate(() => {
+      const t = performance.nodeTiming;
+      console.log(JSON.stringify({
+        nodeStart: t.nodeStart, v8Start: t.v8Start, environment: t.environment,
+        bootstrapComplete: t.bootstrapComplete, loopStart: t.loopStart,
+        firstTurn: performance.now(),
+      }));
+    });
+  `;
+  const runs = collectSamples(
+    ctx,
+    ["-e", code],
+    (r) => {
+      const t = parseStdoutJSON(r);
+      return t && { ...t, total: r.durationMs };
+    },
+    (t) => t.total,
+  );
+  const pick = (get) => runs.map((rs) => rs.map(get));
+
+  const rows = [
+    makeDurationResult(
+      "Startup phases: total (parent)",
+      NAMES,
+      pick((t) => t.total),
+    ),
+  ];
+  let from = null;
+  for (const { until, label } of STARTUP_PHASES) {
+    const start = from;
+    rows.push(
+      makeDurationResult(
+        `Startup phase: ${label}`,
+        NAMES,
+        pick((t) => t[until] - (start ? t[start] : 0)),
+      ),
+    );
+    from = until;
   }
-  return makeDurationResult("Require 10 core modules", NAMES, times);
+  rows.push(
+    makeDurationResult(
+      "Startup phase: exec + teardown (rest)",
+      NAMES,
+      pick((t) => t.total - t.firstTurn),
+    ),
+  );
+  // Phases break the total down; only the total takes part in the win count.
+  return rows.map((r, i) => (i === 0 ? r : { ...r, detail: true }));
 }
 
-module.exports = { benchStartupTime, benchRequireFS, benchRequireHeavy };
+module.exports = {
+  benchStartupTime,
+  benchRequireFS,
+  benchRequireHeavy,
+  benchStartupPhases,
+};
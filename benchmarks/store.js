@@ -0,0 +1,176 @@
+// store.js — Local results store: a directory of results documents plus an
+// index.json describing each run (date, binary labels, Node/V8 versions and
+// a machine fingerprint), so trend.js can find every run of a label without
+// opening each file. `--store <dir>` adds a run as it completes, and
+// `trend_report.js --add` imports saved --json documents or text reports.
+//
+//   results/
+//     index.json
+//     2026-03-13T11-53-09-787Z_3f9a61c2.json
+//     ...
+//
+// The index can always be rebuilt from the documents (rebuildStoreIndex),
+// so deleting or copying files by hand is fine.
+
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readResultsFile, writeResultsFile } = require("./results");
+const { loadResultsFile } = require("./importer");
+
+const DEFAULT_STORE_DIR = path.join(__dirname, "..", "results");
+const INDEX_FILE = "index.json";
+const STORE_INDEX_VERSION = 1;
+
+// ─── Fingerprints ─────────────────────────────────────────────────────────────
+
+/**
+ * Short hash identifying the machine a run was measured on: OS, arch, CPU
+ * model, core count and RAM (rounded to whole GB, since the total reported
+ * varies slightly between boots). Runs are only comparable on one machine.
+ * @param {object} host - results document host info
+ * @returns {string} 8 hex digits
+ */
+function machineFingerprint(host) {
+  const ramGB = host.ram ? Math.round(host.ram / 1024 ** 3) : null;
+  const key = [host.platform, host.arch, host.cpu, host.cores, ramGB].join("|");
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+/** One-line machine description, e.g. "linux x64, i7-12700H (8 cores)". */
+function describeMachine(host) {
+  const cores = host.cores ? ` (${host.cores} cores)` : "";
+  return `${host.platform} ${host.arch}, ${host.cpu ?? "unknown CPU"}${cores}`;
+}
+
+// Index entry for a stored document.
+function indexEntry(file, doc) {
+  return {
+    file,
+    date: doc.host.date,
+    machine: machineFingerprint(doc.host),
+    host: describeMachine(doc.host),
+    binaries: doc.binaries.map((b) => ({
+      name: b.name,
+      version: b.version,
+      v8: b.v8,
+    })),
+    rows: doc.results.length,
+    imported: doc.imported?.from ?? null,
+  };
+}
+
+// ─── Index ────────────────────────────────────────────────────────────────────
+
+const byDate = (a, b) => (a.date ?? "").localeCompare(b.date ?? "");
+
+function writeIndex(dir, runs) {
+  const index = { version: STORE_INDEX_VERSION, runs: [...runs].sort(byDate) };
+  fs.writeFileSync(
+    path.join(dir, INDEX_FILE),
+    JSON.stringify(index, null, 2) + "\n",
+  );
+  return index.runs;
+}
+
+/**
+ * Re-create index.json from the documents in `dir`. Files that are not
+ * results documents are skipped with a warning on stderr.
+ * @returns {object[]} index entries, oldest first
+ */
+function rebuildStoreIndex(dir) {
+  const runs = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    if (!file.endsWith(".json") || file === INDEX_FILE) continue;
+    try {
+      runs.push(indexEntry(file, readResultsFile(path.join(dir, file))));
+    } catch (err) {
+      console.error(`Skipping ${file}: ${err.message}`);
+    }
+  }
+  return writeIndex(dir, runs);
+}
+
+/**
+ * Index entries of a store, oldest first. A missing or outdated index.json
+ * is rebuilt; a missing directory is an empty store.
+ * @param {string} [dir]
+ * @returns {{ file: string, date: string|null, machine: string, host: string,
+ *   binaries: { name: string, version: string|null, v8: string|null }[],
+ *   rows: number, imported: string|null }[]}
+ */
+function readStoreIndex(dir = DEFAULT_STORE_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const file = path.join(dir, INDEX_FILE);
+  if (fs.existsSync(file)) {
+    const index = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (index.version === STORE_INDEX_VERSION) return index.runs;
+  }
+  return rebuildStoreIndex(dir);
+}
+
+// ─── Saving ───────────────────────────────────────────────────────────────────
+
+// "<date>_<machine>.json" with the date made filename-safe, and a counter
+// when two runs share a timestamp.
+function storeFileName(dir, doc) {
+  const date = (doc.host.date ?? "undated").replace(/[:.]/g, "-");
+  const base = `${date}_${machineFingerprint(doc.host)}`;
+  let name = `${base}.json`;
+  for (let n = 2; fs.existsSync(path.join(dir, name)); n++) {
+    name = `${base}-${n}.json`;
+  }
+  return name;
+}
+
+/**
+ * Add a results document to the store, creating the directory if needed.
+ * @param {string} dir
+ * @param {object} doc - results document
+ * @returns {object} the new index entry (file is relative to `dir`)
+ */
+function saveToStore(dir, doc) {
+  fs.mkdirSync(dir, { recursive: true });
+  const runs = readStoreIndex(dir);
+  const file = storeFileName(dir, doc);
+  writeResultsFile(path.join(dir, file), doc);
+  const entry = indexEntry(file, doc);
+  writeIndex(dir, [...runs, entry]);
+  return entry;
+}
+
+/**
+ * Import a saved --json document or console text report into the store.
+ * @returns {object} the new index entry
+ */
+function importToStore(dir, file) {
+  return saveToStore(dir, loadResultsFile(file));
+}
+
+/** Load a stored document by its index entry. */
+function loadStoredRun(dir, entry) {
+  return readResultsFile(path.join(dir, entry.file));
+}
+
+/** Reporter that adds the completed run to the store at `dir`. */
+function storeReporter(dir) {
+  return {
+    onComplete(doc) {
+      saveToStore(dir, doc);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STORE_DIR,
+  machineFingerprint,
+  describeMachine,
+  readStoreIndex,
+  rebuildStoreIndex,
+  saveToStore,
+  importToStore,
+  loadStoredRun,
+  storeReporter,
+};
@@ -1,47 +1,146 @@
-// system.js — Binary size and version metadata benchmarks.
+// system.js — Binary size, version and build configuration metadata.
 // Each exported function accepts a ctx object:
-//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS }
+//   { runAll, BINS, NAMES, N, WARMUP, ITERATIONS, ADAPTIVE }
 
 "use strict";
 
 const { execFileSync } = require("child_process");
 const fs = require("fs");
+const { formatBytes, pickWinner } = require("./helpers");
+const { SECTION_GROUPS, sectionSizes } = require("./binfmt");
 
-/**
- * Returns the on-disk size for each binary.
- * No execution — purely a stat call.
- */
-function benchBinarySize(ctx) {
-  const { BINS, NAMES } = ctx;
-  const sizes = BINS.map((b) => fs.statSync(b).size);
-  const { formatBytes, pickWinner } = require("./helpers");
+// Row for a size that is read, not sampled: no stddev or significance test.
+function makeStaticBytesResult(name, names, sizes) {
   return {
-    name: "Binary Size",
+    name,
     values: sizes,
     fmts: sizes.map(formatBytes),
     stds: null,
     rawStds: null,
-    winner: pickWinner(NAMES, sizes, true),
+    samples: null,
+    winner: pickWinner(names, sizes, true),
     unit: "bytes",
     lowerIsBetter: true,
   };
 }
 
 /**
- * Returns Node version strings and V8 versions for each binary.
+ * Returns the on-disk size for each binary, followed by one row per section
+ * group (.text, .rodata, ...) when every binary is an ELF or PE executable.
+ * No execution — a stat call plus a read of the section headers.
+ */
+function benchBinarySize(ctx) {
+  const { BINS, NAMES } = ctx;
+  const sizes = BINS.map((b) => fs.statSync(b).size);
+  const rows = [makeStaticBytesResult("Binary Size", NAMES, sizes)];
+
+  // Mach-O, scripts and malformed headers get the total size row only.
+  const breakdowns = BINS.map((b) => {
+    try {
+      return sectionSizes(b);
+    } catch {
+      return { format: null };
+    }
+  });
+  if (breakdowns.some((b) => b.format === null)) return rows;
+  for (const { key, label } of SECTION_GROUPS) {
+    const groupSizes = breakdowns.map((b) => b.groups[key]);
+    // Skip groups no binary has, e.g. debug info in stripped builds.
+    if (groupSizes.every((v) => v === 0)) continue;
+    rows.push({
+      ...makeStaticBytesResult(`Binary Size: ${label}`, NAMES, groupSizes),
+      detail: true,
+    });
+  }
+  return rows;
+}
+
+// Read by benchVersionInfo. process.config holds the gyp variables (compiler,
+// llvm_version, LTO/PGO switches, target_arch, openssl/icu options) and
+// target_defaults; process.versions lists every bundled dependency.
+const BUILD_INFO_CODE = `
+  console.log(JSON.stringify({
+    ...process.config,
+    versions: process.versions,
+    features: process.features,
+  }));
+`;
+
+// Flatten nested objects into "a.b.c" keys with string values; arrays (cflags,
+// defines, ...) become one space-separated value.
+function flattenBuildInfo(obj, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const name = prefix + key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenBuildInfo(value, `${name}.`, out);
+    } else {
+      out[name] = Array.isArray(value) ? value.join(" ") : String(value);
+    }
+  }
+  return out;
+}
+
+/**
+ * Build keys whose values differ between binaries, in key order. A key that
+ * one binary lacks counts as different. Binaries without build info (a
+ * crashed query, or a document from an older version) are left out.
+ * @param {{ name: string, build?: object|null }[]} binaries
+ * @returns {{ compared: string[], total: number,
+ *   diffs: { key: string, values: (string|null)[] }[] }}
+ *   values line up with `compared` (binary names); null = key missing
+ */
+function diffBuildInfo(binaries) {
+  const known = binaries.filter((b) => b.build);
+  const keys = [...new Set(known.flatMap((b) => Object.keys(b.build)))].sort();
+  const diffs = [];
+  for (const key of keys) {
+    const values = known.map((b) => b.build[key] ?? null);
+    if (values.some((v) => v !== values[0])) diffs.push({ key, values });
+  }
+  return { compared: known.map((b) => b.name), total: keys.length, diffs };
+}
+
+/**
+ * Returns Node version strings, V8 versions and the flattened build
+ * configuration (process.config, process.versions and process.features;
+ * null if the query failed) for each binary.
  * Not a timed benchmark — used for the header info block.
- * @returns {{ name: string, bin: string, version: string, v8: string }[]}
+ * Queries run with each variant's exec args and environment.
+ * @returns {{ name: string, bin: string, args: string[], env: object,
+ *   version: string, v8: string, build: object|null }[]}
  */
 function benchVersionInfo(ctx) {
-  const { BINS, NAMES } = ctx;
-  return BINS.map((bin, i) => ({
-    name: NAMES[i],
-    bin,
-    version: execFileSync(bin, ["--version"], { encoding: "utf8" }).trim(),
-    v8: execFileSync(bin, ["-e", "console.log(process.versions.v8)"], {
-      encoding: "utf8",
-    }).trim(),
+  const { VARIANTS, TIMEOUT_MS } = ctx;
+  // A binary that crashes here still gets benchmarked, so its failures show
+  // up in the results rather than aborting the whole run.
+  const query = ({ bin, args: execArgv, env }, args) => {
+    try {
+      return execFileSync(bin, [...execArgv, ...args], {
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+        env: { ...process.env, ...env },
+        timeout: TIMEOUT_MS,
+      }).trim();
+    } catch (err) {
+      return `unknown (${err.signal || `exit ${err.status}`})`;
+    }
+  };
+  const buildInfo = (v) => {
+    try {
+      return flattenBuildInfo(JSON.parse(query(v, ["-e", BUILD_INFO_CODE])));
+    } catch {
+      return null; // query() returned "unknown (...)"
+    }
+  };
+  return VARIANTS.map((v) => ({
+    name: v.label,
+    bin: v.bin,
+    args: v.args,
+    env: v.env,
+    version: query(v, ["--version"]),
+    v8: query(v, ["-e", "console.log(process.versions.v8)"]),
+    build: buildInfo(v),
   }));
 }
 
-module.exports = { benchBinarySize, benchVersionInfo };
+module.exports = { benchBinarySize, benchVersionInfo, diffBuildInfo };
@@ -0,0 +1,279 @@
+// trend.js — Trends across the runs in a results store (see store.js). For
+// one binary label, each result row becomes a time series of medians, one
+// point per stored run, and a jump between consecutive points is flagged as a
+// step change when it is both large and statistically distinct.
+//
+// Runs are only comparable on one machine, so by default only runs from the
+// machine of the latest run are used.
+
+"use strict";
+
+const {
+  mannWhitneyU,
+  pctDiff,
+  formatPValue,
+  DEFAULT_ALPHA,
+} = require("./helpers");
+const { filterBenchmarks } = require("./selection");
+const { readStoreIndex, loadStoredRun } = require("./store");
+
+/** Smallest change between consecutive runs flagged as a step, in percent. */
+const DEFAULT_STEP_THRESHOLD = 5;
+
+// ─── Loading ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stored runs that include `label` (and `reference`, if given), oldest first.
+ * `machine` is a fingerprint, "all", or null for the latest run's machine;
+ * `since`/`until` are ISO date prefixes ("2026-03", "2026-03-13").
+ *
+ * @param {string} dir - store directory
+ * @param {string} label - binary name to follow
+ * @param {{ reference?: string|null, machine?: string|null,
+ *   since?: string, until?: string }} [opts]
+ * @returns {{ entry: object, doc: object }[]}
+ */
+function loadTrendRuns(
+  dir,
+  label,
+  { reference = null, machine = null, since, until } = {},
+) {
+  const has = (entry, name) => entry.binaries.some((b) => b.name === name);
+  let entries = readStoreIndex(dir).filter(
+    (e) => has(e, label) && (!reference || has(e, reference)),
+  );
+  if (since) entries = entries.filter((e) => (e.date ?? "") >= since);
+  if (until) {
+    entries = entries.filter(
+      (e) => (e.date ?? "").slice(0, until.length) <= until,
+    );
+  }
+  const wanted = machine ?? entries[entries.length - 1]?.machine;
+  if (wanted !== "all") entries = entries.filter((e) => e.machine === wanted);
+  return entries.map((entry) => ({ entry, doc: loadStoredRun(dir, entry) }));
+}
+
+// ─── Series ───────────────────────────────────────────────────────────────────
+
+// Step between two consecutive points of a series, or null. With raw samples
+// on both sides the change must be significant (Mann-Whitney U); imported
+// text reports have none, so the gap must clear both stddevs instead.
+function detectStep(prev, cur, lowerIsBetter, { threshold, alpha }) {
+  const pct = ((cur.value - prev.value) / prev.value) * 100;
+  if (!(Math.abs(pct) >= threshold)) return null;
+  let p = null;
+  if (prev.samples && cur.samples) {
+    p = mannWhitneyU(prev.samples, cur.samples).p;
+    if (p >= alpha) return null;
+  } else {
+    const noise = Math.max(prev.rawStd ?? 0, cur.rawStd ?? 0);
+    if (Math.abs(cur.value - prev.value) <= noise) return null;
+  }
+  return { pct, p, better: lowerIsBetter === false ? pct > 0 : pct < 0 };
+}
+
+/**
+ * Per-row time series of `label` over `runs` (from loadTrendRuns). A run
+ * where the label's runs failed, or that lacks the row, has no point. Rows
+ * are matched by name and unit, in order of first appearance.
+ *
+ * @param {{ entry: object, doc: object }[]} runs - oldest first
+ * @param {string} label
+ * @param {{ reference?: string|null, threshold?: number, alpha?: number,
+ *   filter?: string[], exclude?: string[], category?: string[] }} [opts]
+ *   filter/exclude/category select rows as in selection.js
+ * @returns {{ label: string, reference: string|null, threshold: number,
+ *   alpha: number, runs: { date: string|null, file: string,
+ *   machine: string, host: string, version: string|null, v8: string|null
+ *   }[], series: { name: string, unit: string, lowerIsBetter: boolean,
+ *   points: { run: number, value: number, fmt: string, std: string|null,
+ *   rawStd: number|null, relative: string|null }[], steps: { point: number,
+ *   pct: number, p: number|null, better: boolean }[] }[] }} steps[].point is
+ *   the index of the point after the jump
+ */
+function buildTrend(
+  runs,
+  label,
+  {
+    reference = null,
+    threshold = DEFAULT_STEP_THRESHOLD,
+    alpha = DEFAULT_ALPHA,
+    filter,
+    exclude,
+    category,
+  } = {},
+) {
+  const seriesByKey = new Map();
+  runs.forEach(({ doc }, run) => {
+    const names = doc.binaries.map((b) => b.name);
+    const i = names.indexOf(label);
+    const ref = reference ? names.indexOf(reference) : -1;
+    for (const r of doc.results) {
+      const value = r.values[i];
+      if (r.failures?.[i]?.failed > 0 || !Number.isFinite(value)) continue;
+      const key = `${r.name}\0${r.unit}`;
+      if (!seriesByKey.has(key)) {
+        seriesByKey.set(key, {
+          name: r.name,
+          category: r.category,
+          unit: r.unit,
+          lowerIsBetter: r.lowerIsBetter !== false,
+          points: [],
+        });
+      }
+      const refValue = ref === -1 ? NaN : r.values[ref];
+      const refOk =
+        Number.isFinite(refValue) && !(r.failures?.[ref]?.failed > 0);
+      seriesByKey.get(key).points.push({
+        run,
+        value,
+        fmt: r.fmts[i],
+        std: r.stds ? r.stds[i] : null,
+        rawStd: r.rawStds?.[i] ?? null,
+        samples: r.samples?.[i]?.length ? r.samples[i] : null,
+        relative: refOk ? pctDiff(refValue, value) : null,
+      });
+    }
+  });
+
+  let series = [...seriesByKey.values()];
+  if (filter?.length || exclude?.length || category?.length) {
+    const { selected } = filterBenchmarks(series, {
+      filter,
+      exclude,
+      category,
+    });
+    series = selected;
+  }
+  for (const s of series) {
+    s.steps = [];
+    for (let k = 1; k < s.points.length; k++) {
+      const step = detectStep(s.points[k - 1], s.points[k], s.lowerIsBetter, {
+        threshold,
+        alpha,
+      });
+      if (step) s.steps.push({ point: k, ...step });
+    }
+    // Raw samples were only needed for the step test.
+    s.points = s.points.map(({ samples, ...point }) => point);
+  }
+
+  return {
+    label,
+    reference,
+    threshold,
+    alpha,
+    runs: runs.map(({ entry, doc }) => {
+      const b = doc.binaries.find((x) => x.name === label);
+      return {
+        date: entry.date,
+        file: entry.file,
+        machine: entry.machine,
+        host: entry.host,
+        version: b.version,
+        v8: b.v8,
+      };
+    }),
+    series,
+  };
+}
+
+/** Every step change of a trend, in series order. */
+function trendSteps(trend) {
+  return trend.series.flatMap((s) =>
+    s.steps.map((step) => {
+      const from = trend.runs[s.points[step.point - 1].run];
+      const to = trend.runs[s.points[step.point].run];
+      return { name: s.name, from, to, ...step };
+    }),
+  );
+}
+
+/** "+12.34% (worse, p=0.003)" for a step. */
+function describeStep(step) {
+  const sign = step.pct > 0 ? "+" : "";
+  const p = step.p === null ? "" : `, p=${formatPValue(step.p)}`;
+  const direction = step.better ? "better" : "worse";
+  return `${sign}${step.pct.toFixed(2)}% (${direction}${p})`;
+}
+
+// ─── Console output ───────────────────────────────────────────────────────────
+
+const VALUE_COL_W = 24;
+const CHANGE_COL_W = 10;
+
+const shortDate = (date) => (date ?? "undated").slice(0, 10);
+
+/**
+ * Print a trend: the runs it covers, one table per series with the change
+ * from the previous run (flagged "STEP" when it is a step change), and a
+ * list of all step changes.
+ * @param {object} trend - from buildTrend()
+ * @param {(line?: string) => void} [log]
+ */
+function printTrend(trend, log = console.log) {
+  const { label, reference, runs, series } = trend;
+  const vs = reference ? ` vs ${reference}` : "";
+  log(`=== Trend: ${label}${vs} (${runs.length} runs) ===\n`);
+  for (const [k, run] of runs.entries()) {
+    log(
+      `  #${String(k + 1).padEnd(3)} ${run.date ?? "undated"}` +
+      `  Node ${run.version ?? "?"}, V8 ${run.v8 ?? "?"}` +
+      `  ${run.machine}  ${run.file}`,
+    );
+  }
+  const machines = [...new Map(runs.map((r) => [r.machine, r.host]))];
+  for (const [id, host] of machines) log(`  Machine ${id}: ${host}`);
+  log(
+    `  Step: change of at least ${trend.threshold}% between consecutive` +
+    ` runs, significant at alpha ${trend.alpha}\n`,
+  );
+
+  for (const s of series) {
+    log(s.name);
+    let head =
+      "  Run   Date        " +
+      "Node".padEnd(16) +
+      "Value".padEnd(VALUE_COL_W) +
+      "Change".padEnd(CHANGE_COL_W);
+    if (reference) head += `vs ${reference}`;
+    log(head.trimEnd());
+    s.points.forEach((pt, k) => {
+      const run = runs[pt.run];
+      const step = s.steps.find((x) => x.point === k);
+      const prev = s.points[k - 1];
+      const change = prev ? pctDiff(prev.value, pt.value) : "";
+      let line =
+        `  #${String(pt.run + 1).padEnd(4)} ${shortDate(run.date)}  ` +
+        (run.version ?? "?").padEnd(16) +
+        (pt.std ? `${pt.fmt} ±${pt.std}` : pt.fmt).padEnd(VALUE_COL_W) +
+        change.padEnd(CHANGE_COL_W);
+      if (reference) line += (pt.relative ?? "-").padEnd(CHANGE_COL_W);
+      if (step) line += `STEP (${step.better ? "better" : "worse"})`;
+      log(line.trimEnd());
+    });
+    log("");
+  }
+
+  const steps = trendSteps(trend);
+  const better = steps.filter((s) => s.better).length;
+  log(
+    `Step changes: ${steps.length}` +
+    (steps.length ? ` (${better} better, ${steps.length - better} worse)` : ""),
+  );
+  for (const step of steps) {
+    log(
+      `  ${step.name}: ${shortDate(step.from.date)}` +
+      ` -> ${shortDate(step.to.date)} ${describeStep(step)}`,
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_STEP_THRESHOLD,
+  loadTrendRuns,
+  buildTrend,
+  trendSteps,
+  describeStep,
+  printTrend,
+};
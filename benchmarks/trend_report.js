@@ -0,0 +1,178 @@
+// Trends across stored runs: per-benchmark time series for one binary label
+// Run with: node trend_report.js <label> [--vs <label>] [options]
+//           node trend_report.js --runs            list the stored runs
+//           node trend_report.js --add <file> ...  import --json/text reports
+//
+// Thin CLI wrapper around store.js and trend.js. Runs get into the store with
+// `index.js --store <dir>` or --add here.
+
+require("./node_version");
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { DEFAULT_ALPHA } = require("./helpers");
+const {
+  DEFAULT_STORE_DIR,
+  readStoreIndex,
+  rebuildStoreIndex,
+  importToStore,
+} = require("./store");
+const {
+  DEFAULT_STEP_THRESHOLD,
+  loadTrendRuns,
+  buildTrend,
+  printTrend,
+} = require("./trend");
+const { renderTrendMarkdown, renderTrendHTML } = require("./formats");
+
+const OPTIONS = {
+  store: { type: "string" },
+  vs: { type: "string" },
+  machine: { type: "string" },
+  since: { type: "string" },
+  until: { type: "string" },
+  filter: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  category: { type: "string", multiple: true },
+  threshold: { type: "string" },
+  alpha: { type: "string" },
+  markdown: { type: "string" },
+  html: { type: "string" },
+  json: { type: "string" },
+  runs: { type: "boolean" },
+  add: { type: "string", multiple: true },
+  reindex: { type: "boolean" },
+};
+
+const OPTION_HELP = [
+  ["--store <dir>", "results store (default results/ in the repo)"],
+  ["--vs <label>", "also show each run's difference from this binary"],
+  ["--machine <id|all>", "machine fingerprint (default: the latest run's)"],
+  ["--since <date>", "first run date, e.g. 2026-03 or 2026-03-13"],
+  ["--until <date>", "last run date"],
+  ["--filter <pattern>", "only rows whose name matches (substring/glob)"],
+  ["--exclude <pattern>", "skip rows whose name matches"],
+  ["--category <list>", "only rows of these categories"],
+  [
+    "--threshold <pct>",
+    `smallest step change (default ${DEFAULT_STEP_THRESHOLD})`,
+  ],
+  ["--alpha <p>", `significance of a step (default ${DEFAULT_ALPHA})`],
+  ["--markdown <file>", "write the trend as Markdown"],
+  ["--html <file>", "write the trend as HTML with line charts"],
+  ["--json <file>", "write the trend data as JSON"],
+  ["--runs", "list the stored runs and exit"],
+  ["--add <file>", "import a --json document or text report into the store"],
+  ["--reindex", "rebuild the store's index.json from its files"],
+];
+
+const USAGE =
+  "Usage: node trend_report.js <label> [options]\n\nOptions:\n" +
+  OPTION_HELP.map(([flag, text]) => `  ${flag.padEnd(22)}${text}`).join("\n");
+
+function printRuns(dir) {
+  const runs = readStoreIndex(dir);
+  if (runs.length === 0) {
+    console.log(`No runs stored in ${dir}`);
+    return;
+  }
+  for (const run of runs) {
+    const labels = run.binaries
+      .map((b) => `${b.name} (${b.version ?? "?"})`)
+      .join(", ");
+    console.log(`${run.date ?? "undated"}  ${run.machine}  ${labels}`);
+  }
+  console.log(`${runs.length} run(s) in ${dir}`);
+}
+
+// Positive number option, or `fallback` when absent.
+function numberOption(values, key, fallback) {
+  if (values[key] === undefined) return fallback;
+  const n = Number(values[key]);
+  if (!(n > 0)) {
+    throw new RangeError(`--${key} must be a positive number`);
+  }
+  return n;
+}
+
+function main(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 1;
+  }
+  const dir = values.store ?? DEFAULT_STORE_DIR;
+
+  if (values.reindex) {
+    console.log(`Indexed ${rebuildStoreIndex(dir).length} run(s) in ${dir}`);
+  }
+  for (const file of values.add ?? []) {
+    const entry = importToStore(dir, file);
+    console.log(`Added ${file} as ${entry.file}`);
+  }
+  if (values.runs) {
+    printRuns(dir);
+    return 0;
+  }
+  if ((values.reindex || values.add) && positionals.length === 0) return 0;
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const [label] = positionals;
+  let opts;
+  try {
+    opts = {
+      reference: values.vs ?? null,
+      threshold: numberOption(values, "threshold", DEFAULT_STEP_THRESHOLD),
+      alpha: numberOption(values, "alpha", DEFAULT_ALPHA),
+    };
+    if (opts.alpha >= 1) throw new RangeError("--alpha must be below 1");
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 1;
+  }
+  const runs = loadTrendRuns(dir, label, {
+    reference: opts.reference,
+    machine: values.machine ?? null,
+    since: values.since,
+    until: values.until,
+  });
+  if (runs.length === 0) {
+    const vs = opts.reference ? ` together with ${opts.reference}` : "";
+    console.error(`No stored runs of ${label}${vs} in ${dir}`);
+    return 1;
+  }
+  const trend = buildTrend(runs, label, {
+    ...opts,
+    filter: values.filter,
+    exclude: values.exclude,
+    category: values.category,
+  });
+
+  printTrend(trend);
+  const outputs = {
+    markdown: () => renderTrendMarkdown(trend),
+    html: () => renderTrendHTML(trend),
+    json: () => JSON.stringify(trend, null, 2) + "\n",
+  };
+  for (const [key, render] of Object.entries(outputs)) {
+    if (!values[key]) continue;
+    fs.writeFileSync(values[key], render());
+    console.log(`Wrote ${values[key]} (--${key})`);
+  }
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
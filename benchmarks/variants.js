@@ -0,0 +1,166 @@
+// variants.js — Labelled benchmark targets. A variant is a binary plus extra
+// exec args and environment variables, so one build can be compared against
+// itself (or another build) under different V8/Node flags:
+//
+//   --variant "jitless=./node --jitless"
+//   --variant "semi64=UV_THREADPOOL_SIZE=8 ./node --max-semi-space-size=64"
+//   --variants variants.json
+//
+// In a --variant spec, NAME=value words before the binary are environment
+// variables and words after it are exec args; quote paths that contain
+// spaces. A variants file is a JSON array of
+//   { "label": "jitless", "binary": "./node", "args": [...], "env": {...} }
+// with relative binaries resolved against the file's directory.
+// A plain binary path is a variant labelled with its file name.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ENV_ASSIGNMENT = /^[A-Za-z_][A-Za-z0-9_]*=/;
+
+function getBinaryName(binPath) {
+  // Strip directory and extension (handles .exe on Windows, any extension on Linux)
+  return path.basename(binPath).replace(/\.[^.]+$/, "");
+}
+
+// Split on whitespace, honouring single and double quotes (no escapes, so
+// Windows paths keep their backslashes).
+function splitWords(spec) {
+  const words = [];
+  const re = /"([^"]*)"|'([^']*)'|([^\s"']+)/g;
+  let word = null;
+  let last = 0;
+  for (const m of spec.matchAll(re)) {
+    // Quoted and bare parts with no whitespace between them form one word.
+    if (word === null || m.index !== last) {
+      if (word !== null) words.push(word);
+      word = "";
+    }
+    word += m[1] ?? m[2] ?? m[3];
+    last = m.index + m[0].length;
+  }
+  if (word !== null) words.push(word);
+  return words;
+}
+
+function validateVariant(v, source) {
+  const fail = (msg) => {
+    throw new TypeError(`${source}: ${msg}`);
+  };
+  if (!v || typeof v !== "object") fail("variant must be an object");
+  if (typeof v.label !== "string" || !v.label.trim()) fail("missing label");
+  if (typeof v.binary !== "string" || !v.binary) {
+    fail(`"${v.label}" has no binary`);
+  }
+  if (
+    v.args !== undefined &&
+    !(Array.isArray(v.args) && v.args.every((a) => typeof a === "string"))
+  ) {
+    fail(`"${v.label}" args must be an array of strings`);
+  }
+  if (
+    v.env !== undefined &&
+    (!v.env ||
+      typeof v.env !== "object" ||
+      Array.isArray(v.env) ||
+      !Object.values(v.env).every((x) => typeof x === "string"))
+  ) {
+    fail(`"${v.label}" env must map names to strings`);
+  }
+}
+
+/**
+ * Parse a --variant spec ("label=[NAME=value ...] binary [args ...]").
+ * Throws a TypeError when the label or binary is missing.
+ * @returns {{ label: string, binary: string, args: string[],
+ *   env: { [name: string]: string } }}
+ */
+function parseVariantSpec(spec) {
+  const eq = spec.indexOf("=");
+  const label = eq === -1 ? spec : spec.slice(0, eq);
+  const words = eq === -1 ? [] : splitWords(spec.slice(eq + 1));
+  const env = {};
+  while (words.length > 1 && ENV_ASSIGNMENT.test(words[0])) {
+    const word = words.shift();
+    const sep = word.indexOf("=");
+    env[word.slice(0, sep)] = word.slice(sep + 1);
+  }
+  const [binary, ...args] = words;
+  const variant = { label: label.trim(), binary, args, env };
+  validateVariant(variant, `--variant ${JSON.stringify(spec)}`);
+  return variant;
+}
+
+/**
+ * Read a JSON variants file. Throws if it can't be read or parsed, or an
+ * entry is malformed.
+ * @returns {{ label: string, binary: string, args: string[],
+ *   env: { [name: string]: string } }[]}
+ */
+function loadVariantsFile(file) {
+  const resolved = path.resolve(file);
+  const entries = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  if (!Array.isArray(entries)) {
+    throw new TypeError(`${resolved}: expected an array of variants`);
+  }
+  return entries.map((v) => {
+    validateVariant(v, resolved);
+    return {
+      label: v.label.trim(),
+      binary: path.resolve(path.dirname(resolved), v.binary),
+      args: v.args ?? [],
+      env: v.env ?? {},
+    };
+  });
+}
+
+/**
+ * Normalize compare() targets (binary paths or variant objects) into
+ * resolved variants with unique labels. Throws if a binary does not exist or
+ * two targets share a label.
+ * @param {(string|{ label?: string, binary: string, args?: string[],
+ *   env?: object })[]} targets
+ * @returns {{ label: string, bin: string, args: string[],
+ *   env: { [name: string]: string } }[]}
+ */
+function resolveVariants(targets) {
+  const variants = targets.map((t) => {
+    const v = typeof t === "string" ? { binary: t } : t;
+    const bin = path.resolve(v.binary);
+    if (!fs.existsSync(bin)) {
+      throw new Error(`Binary not found: ${bin}`);
+    }
+    return {
+      label: v.label ?? getBinaryName(bin),
+      bin,
+      args: v.args ?? [],
+      env: v.env ?? {},
+    };
+  });
+  const seen = new Set();
+  for (const { label } of variants) {
+    if (seen.has(label)) {
+      throw new Error(
+        `Duplicate label "${label}"; use --variant to name each target`,
+      );
+    }
+    seen.add(label);
+  }
+  return variants;
+}
+
+/** Flags and environment of a variant as one line, or "" for a plain binary. */
+function describeVariant({ args = [], env = {} }) {
+  const assignments = Object.entries(env).map(([k, v]) => `${k}=${v}`);
+  return [...assignments, ...args].join(" ");
+}
+
+module.exports = {
+  getBinaryName,
+  parseVariantSpec,
+  loadVariantsFile,
+  resolveVariants,
+  describeVariant,
+};
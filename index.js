@@ -1,12 +1,93 @@
-// Entry point — delegates to the benchmark comparison runner.
-// Usage: node index.js <binary1> <binary2> [<binary3> ...]
-
-const { spawnSync } = require("child_process");
-const path = require("path");
-
-const result = spawnSync(
-    process.execPath,
-    [path.join(__dirname, "benchmarks", "benchmark_compare_multiple.js"), ...process.argv.slice(2)],
-    { stdio: "inherit" },
-);
-process.exit(result.status ?? 1);
+// Entry point — runs the benchmark comparison across two or more binaries.
+// Usage: node index.js <binary1> <binary2> [<binary3> ...] [options]
+//        node index.js <binary1> <binary2> --baseline <results.json>
+//          [--tolerance-ms <pct>] [--tolerance-bytes <pct>]
+//        node index.js --preset <name>[:<run>] [options]
+//        node index.js --list-presets
+//
+// Exits non-zero if any child run crashed, timed out or printed garbage.
+// With --baseline, the run's results are compared against a saved --json
+// document (or a saved text report) and the process also exits non-zero if
+// any benchmark regressed.
+// A preset with several runs is checked run by run.
+
+require("./benchmarks/node_version");
+const { runCli } = require("./benchmarks/cli");
+const { loadResultsFile } = require("./benchmarks/importer");
+const {
+  DEFAULT_TOLERANCES,
+  compareToBaseline,
+  printBaselineReport,
+} = require("./benchmarks/baseline");
+
+const BASELINE_OPTIONS = {
+  baseline: { type: "string" },
+  "tolerance-ms": { type: "string" },
+  "tolerance-bytes": { type: "string" },
+};
+const BASELINE_HELP = [
+  ["--baseline <file>", "fail on regressions vs a saved --json/text report"],
+  [
+    "--tolerance-ms <pct>",
+    `allowed timing regression (default ${DEFAULT_TOLERANCES.ms})`,
+  ],
+  [
+    "--tolerance-bytes <pct>",
+    `allowed size regression (default ${DEFAULT_TOLERANCES.bytes})`,
+  ],
+];
+
+// Load the baseline and tolerances up front so a bad file fails before the
+// (long) benchmark run rather than after it.
+function prepareBaseline(options) {
+  if (!options.baseline) return null;
+  const tolerances = {
+    ms:
+      options["tolerance-ms"] !== undefined
+        ? Number(options["tolerance-ms"])
+        : DEFAULT_TOLERANCES.ms,
+    bytes:
+      options["tolerance-bytes"] !== undefined
+        ? Number(options["tolerance-bytes"])
+        : DEFAULT_TOLERANCES.bytes,
+  };
+  if (Object.values(tolerances).some((t) => !(t >= 0))) {
+    throw new RangeError("Tolerances must be non-negative percentages.");
+  }
+  let baseline;
+  try {
+    baseline = loadResultsFile(options.baseline);
+  } catch (err) {
+    throw new Error(`Cannot load baseline: ${err.message}`);
+  }
+  return { baseline, tolerances };
+}
+
+async function main() {
+  const run = await runCli(process.argv.slice(2), {
+    synopsis: "index.js <binary1> <binary2> [<binary3> ...]",
+    extraOptions: BASELINE_OPTIONS,
+    extraHelp: BASELINE_HELP,
+    prepare: prepareBaseline,
+    presets: true,
+  });
+  if (!run) return 1;
+  let code = 0;
+  for (const { doc } of run.runs) {
+    if (doc.summary.failed > 0) code = 1;
+    if (!run.extra) continue;
+    const { baseline, tolerances } = run.extra;
+    const rows = compareToBaseline(baseline, doc, tolerances);
+    if (printBaselineReport(rows, baseline, tolerances) > 0) code = 1;
+  }
+  return code;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
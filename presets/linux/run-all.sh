@@ -1,3 +0,0 @@
-#!/usr/bin/env bash
-cd "$(dirname "$0")"
-./node_clean ../../index.js ./node_clean ./node_lto ./node_pgo ./node_lto_pgo
\ No newline at end of file